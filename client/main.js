@@ -13,6 +13,11 @@ if (Meteor.isDevelopment) {
   _TwoFactorLogin = TwoFactorLogin;
 }
 
+// completes login when a magic link redirects here
+Meteor.startup(() => {
+  TwoFactorLogin.handleMagicLink().catch(err=>console.error(`magic link login failed`, err));
+});
+
 Template.hello.onCreated(function helloOnCreated() {
   // counter starts at 0
   this.counter = new ReactiveVar(0);
@@ -19,10 +19,21 @@ Package.onUse(function(api) {
     'random',
     'ddp-rate-limiter',
     'accounts-password',
+    'email',
+    'http',
+    'webapp',
   ]);
+  api.use('reactive-var', 'client');
   api.imply([
     'accounts-password',
   ]);
+  api.addFiles('tokenlogin-errors.js', ['client', 'server'], {lazy: true});
+  api.addFiles('tokenlogin-totp.js', 'server', {lazy: true});
+  api.addFiles('tokenlogin-messages.js', 'server', {lazy: true});
+  api.addFiles('tokenlogin-email.js', 'server', {lazy: true});
+  api.addFiles('tokenlogin-telegram.js', 'server', {lazy: true});
+  api.addFiles('tokenlogin-sms.js', 'server', {lazy: true});
+  api.addFiles('tokenlogin-generators.js', 'server', {lazy: true});
   api.mainModule('tokenlogin-server.js', 'server');
   api.mainModule('tokenlogin-client.js', 'client');
 });
@@ -30,6 +41,11 @@ Package.onUse(function(api) {
 Package.onTest(function(api) {
   api.use('ecmascript');
   api.use('tinytest');
+  api.use('email');
+  api.use('accounts-base');
+  api.use('underscore');
+  api.use('ddp-rate-limiter');
   api.use('freelancecourtyard:tokenlogin');
-  api.mainModule('tokenlogin-tests.js');
+  api.mainModule('tokenlogin-tests.js', 'server');
+  api.mainModule('tokenlogin-client-tests.js', 'client');
 });
@@ -0,0 +1,88 @@
+// Import Tinytest from the tinytest Meteor package.
+import { Tinytest } from "meteor/tinytest";
+
+import { Meteor } from "meteor/meteor";
+
+import { TokenLogin, LoginStates, ErrorCodes } from "meteor/freelancecourtyard:tokenlogin";
+
+// client of the server-side fixture of tokenlogin-tests.js
+const client = new TokenLogin('TokenLoginTest');
+
+Tinytest.addAsync('tokenlogin - client - argument errors reject the Promise', function (test, onComplete) {
+  client.requestToken(42, null).then(()=>{
+    test.fail('requestToken resolved with a wrong selector');
+    onComplete();
+  }, (err)=>{
+    test.equal(err.errorType, 'Match.Error');
+    client.confirmAction(undefined).catch((confirmErr)=>{
+      test.equal(confirmErr.errorType, 'Match.Error');
+      onComplete();
+    });
+  });
+});
+
+Tinytest.addAsync('tokenlogin - client - requestToken defaults its options', function (test, onComplete) {
+  client.setState(LoginStates.IDLE);
+  client.requestToken(`nobody-${Date.now()}`, 'password').catch((err)=>{
+    test.equal(err.error, ErrorCodes.USER_NOT_FOUND);
+    test.equal(client.state(), LoginStates.IDLE);
+    test.equal(client.stateDetails().error.error, ErrorCodes.USER_NOT_FOUND);
+    onComplete();
+  });
+});
+
+Tinytest.addAsync('tokenlogin - client - requestConfirmation needs a logged in user', function (test, onComplete) {
+  client.requestConfirmation().catch((err)=>{
+    test.equal(err.error, ErrorCodes.USER_NOT_LOGGED_IN);
+    onComplete();
+  });
+});
+
+Tinytest.add('tokenlogin - client - login state counts down, expires and locks out', function (test) {
+  let now = Date.now();
+  Meteor._localStorage.setItem(client.flowKey, 'flow');
+  client.setState(LoginStates.AWAITING_TOKEN, {expireAt: new Date(now + 60*1000), resendAt: new Date(now + 10*1000)});
+  test.isTrue(client.expiresIn() > 55 && client.expiresIn() <= 60);
+  test.isTrue(client.resendIn() > 5 && client.resendIn() <= 10);
+  client.setState(LoginStates.VERIFYING);
+  client.failState(new Meteor.Error(ErrorCodes.TOKEN_MISMATCH));
+  test.equal(client.state(), LoginStates.AWAITING_TOKEN);
+  client.failState(new Meteor.Error(ErrorCodes.TOKEN_EXPIRED));
+  test.equal(client.state(), LoginStates.EXPIRED);
+  client.failState(new Meteor.Error(ErrorCodes.USER_LOCKED_OUT, 'locked', {until: new Date(now + 30*1000)}));
+  test.equal(client.state(), LoginStates.LOCKED_OUT);
+  test.isTrue(client.secondsUntil('lockedUntil') > 25);
+  client.setState(LoginStates.IDLE);
+  test.equal(client.stateDetails(), {state: LoginStates.IDLE, error: undefined});
+  test.isFalse(!!client.flowId());
+});
+
+Tinytest.add('tokenlogin - client - device tokens are kept per user', function (test) {
+  let [alice] = client.deviceKeys(' Alice@Example.com');
+  let [bob] = client.deviceKeys('bob');
+  test.equal(alice, 'TokenLogin:TokenLoginTest:deviceToken:alice@example.com');
+  Meteor._localStorage.setItem(alice, 'alice-token');
+  Meteor._localStorage.setItem(bob, 'bob-token');
+  client.forgetDevice('alice@example.com');
+  test.isFalse(!!Meteor._localStorage.getItem(alice));
+  test.equal(Meteor._localStorage.getItem(bob), 'bob-token');
+  client.forgetDevice('bob');
+  test.equal(client.deviceKeys(), []);
+});
+
+Tinytest.addAsync('tokenlogin - client - magic links ignore other fragments, reject malformed ones', function (test, onComplete) {
+  let hash = window.location.hash;
+  window.location.hash = 'save=100%';
+  client.handleMagicLink().then((handled)=>{
+    test.isFalse(handled);
+    test.equal(window.location.hash, '#save=100%');
+    window.location.hash = `${client.prefix}/link=%E0`;
+    return client.handleMagicLink().then(()=>test.fail('malformed link resolved'), err=>test.equal(err.error, ErrorCodes.LINK_INVALID));
+  }).then(()=>{
+    window.location.hash = `${client.prefix}/link=${encodeURIComponent('{"s":1}')}`;
+    return client.handleMagicLink().then(()=>test.fail('malformed link resolved'), err=>test.equal(err.error, ErrorCodes.LINK_INVALID));
+  }).then(()=>{
+    window.location.hash = hash;
+    onComplete();
+  });
+});
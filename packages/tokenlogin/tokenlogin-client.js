@@ -1,13 +1,66 @@
 /*global TwoFactorLogin: true*/
 
 import { Meteor } from 'meteor/meteor';
-import { check } from 'meteor/check';
+import { check, Match } from 'meteor/check';
 import { Accounts } from 'meteor/accounts-base';
+import { Random } from 'meteor/random';
+import { ReactiveVar } from 'meteor/reactive-var';
+import { Mongo } from 'meteor/mongo';
 
-export { TwoFactorLogin };
+import { ErrorCodes, tokenLoginError } from './tokenlogin-errors.js';
+
+/**
+ * states of the reactive login state of client-side instances, see TokenLogin.state
+ */
+const LoginStates = {
+  IDLE: 'idle',
+  AWAITING_TOKEN: 'awaiting-token',
+  VERIFYING: 'verifying',
+  EXPIRED: 'expired',
+  LOCKED_OUT: 'locked-out',
+};
+
+// errors after which the token of the session can no longer be used
+const expiredErrors = [ErrorCodes.TOKEN_EXPIRED, ErrorCodes.SESSION_NOT_FOUND, ErrorCodes.SESSION_VERIFIED];
+
+export { TwoFactorLogin, ErrorCodes, LoginStates };
+
+/**
+ * passwordDigest - hash of password sent to server, null for passwordless instances
+ *
+ * @param  {string} password password of user, null when server-side instance is passwordless
+ * @returns {string}          password digest, or null
+ */
+function passwordDigest(password){
+  return password ? Accounts._hashPassword(password).digest : null;
+}
+
+/**
+ * withCallback - runs an asynchronous call with callback, or returns a Promise of its result when there is none,
+ * errors thrown by run, i.e. of checking arguments, then reject the Promise
+ *
+ * @param  {function} callback optional function to call with error or result, undefined to get a Promise
+ * @param  {function} run      starts the call, with the function to call when it is done
+ * @returns {Promise}          result of call, undefined when callback is given
+ */
+function withCallback(callback, run){
+  check(callback, Match.Maybe(Function));
+  if (callback) {
+    run(callback);
+    return undefined;
+  }
+  return new Promise((resolve, reject)=>{
+    run((err, res)=>{
+      if (err) {reject(err);}
+      else {resolve(res);}
+    });
+  });
+}
 
 /**
  * class representing a client-side TokenLogin instance
+ * methods taking a callback return a Promise of the result instead when it is not given,
+ * i.e. await TwoFactorLogin.login(selector, password, token)
  */
 class TokenLogin {
 
@@ -22,23 +75,238 @@ class TokenLogin {
     check(identifier, String);
     this.identifier = identifier;
     this.prefix = `TokenLogin:${this.identifier}`;
+    this.deviceKey = `${this.prefix}:deviceToken`;
+    this.browserKey = `${this.prefix}:browserId`;
+    this.flowKey = `${this.prefix}:flowId`;
+    // state, expireAt, resendAt, lockedUntil, factor, contact and error of login, see state
+    this.loginState = new ReactiveVar({state: LoginStates.IDLE});
+    this.now = new ReactiveVar(new Date());
+    this.clock = null;
+    this.adminCollection = null;
+  }
+
+  /**
+   * adminSessions - client-side collection of the sessions published by subscribeAdminSessions
+   *
+   * @returns {Mongo.Collection}  sessions of the user subscribed to, without their secrets
+   */
+  adminSessions(){
+    if (!this.adminCollection) {this.adminCollection = new Mongo.Collection(`${this.prefix}/adminSessions`);}
+    return this.adminCollection;
+  }
+
+  /**
+   * subscribeAdminSessions - subscribe to the open and verified sessions of a user, for admin UIs,
+   * server-side authorizeAdmin must allow the logged in user, admin actions are methods named
+   * TokenLogin:<identifier>/admin/<action>, i.e. invalidateSessions, resetFactor or issueBypass
+   *
+   * @param  {string} userId    id of user
+   * @param  {object} callbacks = {} optional, onReady and onStop of subscription
+   * @returns {object}           subscription handle, sessions are in adminSessions()
+   */
+  subscribeAdminSessions(userId, callbacks = {}){
+    check(userId, String);
+    this.adminSessions();
+    return Meteor.subscribe(`${this.prefix}/admin/sessions`, userId, callbacks);
+  }
+
+  /**
+   * state - reactive state of login, one of LoginStates,
+   * awaiting-token after a token is sent, verifying while it is checked, expired when it can no longer be used,
+   * and locked-out until the lockout ends, idle otherwise
+   *
+   * @returns {string}  state of login
+   */
+  state(){
+    return this.loginState.get().state;
+  }
+
+  /**
+   * stateDetails - reactive details of login state
+   *
+   * @returns {object}  state, expireAt of token, resendAt, lockedUntil, factor and masked contact the token was sent via,
+   * format of the token to render its input, i.e. length, group, separator and inputMode, and error of last failure
+   */
+  stateDetails(){
+    return Object.assign({}, this.loginState.get());
+  }
+
+  /**
+   * expiresIn - reactive countdown to expiry of the token, updates every second
+   *
+   * @returns {number}  seconds until the token expires, 0 when there is none
+   */
+  expiresIn(){
+    return this.secondsUntil('expireAt');
+  }
+
+  /**
+   * resendIn - reactive countdown to when another token may be requested, updates every second
+   *
+   * @returns {number}  seconds until resend is available, 0 when it is
+   */
+  resendIn(){
+    return this.secondsUntil('resendAt');
+  }
+
+  /**
+   * secondsUntil - reactive seconds until a date of login state
+   *
+   * @param  {string} field expireAt, resendAt or lockedUntil
+   * @returns {number}       seconds until date, 0 when it is not set or has passed
+   */
+  secondsUntil(field){
+    let date = this.loginState.get()[field];
+    if (!date) {return 0;}
+    return Math.max(0, Math.ceil((date - this.now.get()) / 1000));
+  }
+
+  /**
+   * setState - moves login state, idle starts over while other states keep the dates of the session
+   *
+   * @param  {string} state  one of LoginStates
+   * @param  {object} fields = {} optional, replaces fields of state, i.e. expireAt
+   */
+  setState(state, fields = {}){
+    if (state === LoginStates.IDLE) {Meteor._localStorage.removeItem(this.flowKey);}
+    let current = state === LoginStates.IDLE ? {} : this.loginState.get();
+    this.loginState.set(Object.assign({}, current, {error: undefined}, fields, {state}));
+    this.runClock();
+  }
+
+  /**
+   * failState - moves login state after a failed call, keeping the session open on other errors, i.e. a wrong token
+   *
+   * @param  {Meteor.Error} err error of call
+   */
+  failState(err){
+    if (err.error === ErrorCodes.USER_LOCKED_OUT) {
+      this.setState(LoginStates.LOCKED_OUT, {lockedUntil: err.details && err.details.until, error: err});
+    }
+    else if (expiredErrors.indexOf(err.error) !== -1) {
+      this.setState(LoginStates.EXPIRED, {error: err});
+    }
+    else {
+      let state = this.state() === LoginStates.VERIFYING ? LoginStates.AWAITING_TOKEN : this.state();
+      this.setState(state, {error: err});
+    }
+  }
+
+  /**
+   * runClock - ticks every second while a date of login state is ahead, expiring the token and ending lockouts
+   */
+  runClock(){
+    let {state, expireAt, resendAt, lockedUntil} = this.loginState.get();
+    let now = new Date();
+    this.now.set(now);
+    if (state === LoginStates.AWAITING_TOKEN && expireAt && expireAt <= now) {
+      this.setState(LoginStates.EXPIRED);
+      return;
+    }
+    if (state === LoginStates.LOCKED_OUT && lockedUntil && lockedUntil <= now) {
+      this.setState(LoginStates.IDLE);
+      return;
+    }
+    let ahead = [expireAt, resendAt, lockedUntil].some(date=>date && date > now);
+    if (ahead && !this.clock) {this.clock = Meteor.setInterval(()=>this.runClock(), 1000);}
+    if (!ahead && this.clock) {
+      Meteor.clearInterval(this.clock);
+      this.clock = null;
+    }
+  }
+
+  /**
+   * settleState - wraps the callback of a call verifying a token, login state is idle after it succeeds
+   *
+   * @param  {function} callback function to call with error or result
+   * @returns {function}          callback moving login state first
+   */
+  settleState(callback){
+    return (err, res)=>{
+      if (err) {this.failState(err);}
+      else {this.setState(LoginStates.IDLE);}
+      callback(err, res);
+    };
+  }
+
+  /**
+   * flowId - id of the login flow awaiting a token, kept in local storage,
+   * lets the flow continue after a reconnect or reload
+   *
+   * @returns {string}  flow id, null when there is none
+   */
+  flowId(){
+    return Meteor._localStorage.getItem(this.flowKey);
+  }
+
+  /**
+   * browserId - random id of this browser, kept in local storage,
+   * lets server require magic links to be opened in the browser that requested them
+   *
+   * @returns {string}  id of this browser
+   */
+  browserId(){
+    let browserId = Meteor._localStorage.getItem(this.browserKey);
+    if (!browserId) {
+      browserId = Random.id();
+      Meteor._localStorage.setItem(this.browserKey, browserId);
+    }
+    return browserId;
   }
 
   /**
    * requestToken - request a confirmation token for user action
    *
    * @param  {string} selector username or email of user logging in
-   * @param  {string} password password of user logging in
-   * @param  {function} callback function to call when server returns result
+   * @param  {string} password password of user logging in, null when server-side instance is passwordless
+   * @param  {object} options = {} optional, factor is the name of factor to send token via,
+   * defaults to primary factor of user
+   * @param  {function} callback optional function to call when server returns result,
+   * result.trusted is true when this device is trusted and user is logged in without a token,
+   * otherwise result.factor and result.contact are the channel and masked contact the token went out on,
+   * passwordless instances leave them out so replies do not reveal whether an account exists
+   * @returns {Promise}  result, when callback is not given
    */
-  requestToken(selector, password, callback){
-    check(selector, String);
-    check(password, String);
-    check(callback, Function);
-    let digest = Accounts._hashPassword(password).digest;
-    Meteor.call(`${this.prefix}/requestToken`, selector, digest, (err, res)=>{
-      if (!err) {Accounts._setLoggingIn(true);}
-      callback(err,res);
+  requestToken(selector, password, options = {}, callback = undefined){
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    return withCallback(callback, done=>{
+      check(selector, String);
+      check(password, Match.Maybe(String));
+      check(options, {factor: Match.Maybe(String)});
+      let digest = passwordDigest(password);
+      let deviceToken = Meteor._localStorage.getItem(this.deviceKeys(selector)[0]);
+      options = Object.assign({browserId: this.browserId()}, options);
+      if (deviceToken) {options.deviceToken = deviceToken;}
+      // replaced flow is invalidated
+      if (this.flowId()) {options.flowId = this.flowId();}
+      Meteor.call(`${this.prefix}/requestToken`, selector, digest, options, (err, res)=>{
+        if (err) {
+          this.failState(err);
+          done(err);
+          return;
+        }
+        if (res.trusted) {
+          this.setState(LoginStates.IDLE);
+          Accounts.loginWithToken(res.loginToken, (loginErr)=>done(loginErr, {trusted: true}));
+          return;
+        }
+        // server no longer trusts this device, i.e. revoked or expired
+        if (deviceToken) {this.forgetDevice(selector);}
+        Accounts._setLoggingIn(true);
+        Meteor._localStorage.setItem(this.flowKey, res.flowId);
+        this.setState(LoginStates.AWAITING_TOKEN, {
+          expireAt: res.expireAt,
+          resendAt: res.resendAt,
+          lockedUntil: undefined,
+          factor: res.factor,
+          contact: res.contact,
+          format: res.format,
+        });
+        done(undefined, res);
+      });
     });
   }
 
@@ -46,42 +314,114 @@ class TokenLogin {
    * getLoginToken - get Meteor login service token
    *
    * @param  {string} selector username or email of user logging in
-   * @param  {string} password password of user logging in
-   * @param  {string} token     token sent to factor
-   * @param  {function} callback  function to call when server returns result
+   * @param  {string} password password of user logging in, null when server-side instance is passwordless
+   * @param  {string} token     token sent to factor, or a recovery code
+   * @param  {function} callback  optional function to call when server returns result
+   * @returns {Promise}  result, when callback is not given
    */
   getLoginToken(selector, password, token, callback){
-    check(selector, String);
-    check(password, String);
-    check(token, String);
-    check(callback, Function);
-    let digest = Accounts._hashPassword(password).digest;
-    Meteor.call(`${this.prefix}/getLoginToken`, selector, digest, token, callback);
+    return withCallback(callback, done=>{
+      check(selector, String);
+      check(password, Match.Maybe(String));
+      check(token, String);
+      let digest = passwordDigest(password);
+      let flowId = this.flowId();
+      this.setState(LoginStates.VERIFYING);
+      Meteor.call(`${this.prefix}/getLoginToken`, selector, digest, token, flowId, this.settleState(done));
+    });
   }
 
   /**
    * login - log in directly after getting Meteor service login token
    *
    * @param  {string} selector username or email of user logging in
-   * @param  {string} password password of user logging in
+   * @param  {string} password password of user logging in, null when server-side instance is passwordless
    * @param  {string} token     token sent to factor
-   * @param  {type} callback = ()=>{}  optional function to call if login returns
-   */
-  login(selector, password, token, callback = ()=>{}){
-    check(selector, String);
-    check(password, String);
-    check(token, String);
-    check(callback, Function);
-    this.getLoginToken(selector, password, token, (err, res)=>{
-      if (res) {Accounts.loginWithToken(res, (loginErr)=>{
-        Accounts._setLoggingIn(false);
-        if (loginErr) {callback(loginErr);}
-        else {callback(undefined, true);}
-      });}
-      else {
-        // failed to get login token
-        Accounts._setLoggingIn(false);
-        callback(err);
+   * @param  {object} options = {} optional, rememberDevice trusts this device after login,
+   * deviceName labels the device, defaults to the browser user agent
+   * @param  {function} callback = undefined  optional function to call if login returns
+   * @returns {Promise}  result, when callback is not given
+   */
+  login(selector, password, token, options = {}, callback = undefined){
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    return withCallback(callback, done=>{
+      check(selector, String);
+      check(password, Match.Maybe(String));
+      check(token, String);
+      check(options, {rememberDevice: Match.Maybe(Boolean), deviceName: Match.Maybe(String)});
+      this.getLoginToken(selector, password, token, (err, res)=>{
+        if (res) {Accounts.loginWithToken(res, (loginErr)=>{
+          Accounts._setLoggingIn(false);
+          if (loginErr) {done(loginErr);}
+          else if (options.rememberDevice) {
+            let name = options.deviceName || navigator.userAgent;
+            this.trustDevice(name, (trustErr)=>done(trustErr, true));
+          }
+          else {done(undefined, true);}
+        });}
+        else {
+          // failed to get login token
+          Accounts._setLoggingIn(false);
+          done(err);
+        }
+      });
+    });
+  }
+
+  /**
+   * handleMagicLink - completes login after a magic link redirects to this page,
+   * call it on startup of the page magic links redirect to, result is false for other urls,
+   * malformed links fail with link/invalid
+   * the fragment set by the server is removed from the url
+   *
+   * @param  {function} callback = undefined  optional function to call when login completes,
+   * result is true when a magic link logged user in
+   * @returns {Promise}  result, when callback is not given
+   */
+  handleMagicLink(callback = undefined){
+    return withCallback(callback, done=>{
+      let fragment = window.location.hash.slice(1);
+      let separator = fragment.indexOf('=');
+      let key = fragment.slice(0, separator);
+      if (separator === -1 || key.indexOf(`${this.prefix}/`) !== 0) {
+        done(undefined, false);
+        return;
+      }
+      window.history.replaceState(null, '', window.location.pathname + window.location.search);
+      let value;
+      let fields;
+      try {
+        value = decodeURIComponent(fragment.slice(separator + 1));
+        if (key === `${this.prefix}/link`) {
+          fields = JSON.parse(value);
+          check(fields, [String]);
+        }
+      } catch (err) {
+        done(tokenLoginError(ErrorCodes.LINK_INVALID));
+        return;
+      }
+
+      let login = (loginToken)=>{
+        Accounts.loginWithToken(loginToken, (loginErr)=>done(loginErr, !loginErr));
+      };
+      switch (key) {
+        case `${this.prefix}/login`:
+          login(value);
+          break;
+        case `${this.prefix}/link`: {
+          // server requires this browser to verify the link it requested
+          let [sessionId, token, signature] = fields;
+          Meteor.call(`${this.prefix}/verifyMagicLink`, sessionId, token, signature, this.browserId(), (err, res)=>{
+            if (err) {done(err);}
+            else {login(res);}
+          });
+          break;
+        }
+        default:
+          done(new Meteor.Error(value));
       }
     });
   }
@@ -89,47 +429,316 @@ class TokenLogin {
   /**
    * invalidateSession - invalidates a session, set LoggingIn to be false
    *
-   * @param  {function} callback = ()=>{}  optional function to call when server returns result
+   * @param  {function} callback = undefined  optional function to call when server returns result
+   * @returns {Promise}  result, when callback is not given
    */
-  invalidateSession(callback = ()=>{}){
-    check(callback, Function);
-    Meteor.call(`${this.prefix}/invalidateSession`, (err, res)=>{
+  invalidateSession(callback = undefined){
+    return withCallback(callback, done=>Meteor.call(`${this.prefix}/invalidateSession`, this.flowId(), (err, res)=>{
       Accounts._setLoggingIn(false);
-      callback(err, res);
-    });
+      this.setState(LoginStates.IDLE);
+      done(err, res);
+    }));
+  }
+
+  /**
+   * logoutEverywhere - log the logged in user out on all devices, this one included,
+   * removing every login token of user and every session
+   *
+   * @param  {function} callback = undefined  optional function to call when server returns result
+   * @returns {Promise}  result, when callback is not given
+   */
+  logoutEverywhere(callback = undefined){
+    return withCallback(callback, done=>Meteor.call(`${this.prefix}/logoutEverywhere`, (err, res)=>{
+      if (!err) {this.setState(LoginStates.IDLE);}
+      done(err, res);
+    }));
   }
 
   /**
-   * verifyContact - request contact details of active user when token will be sent to
+   * verifyContact - request masked contact details of active user where token could be sent to,
+   * result lists the factor, masked contact and primary flag of each factor, primary first
    *
    * @param  {string} selector username or email of user logging in
-   * @param  {string} password password of user logging in
-   * @param  {function} callback function to call when server returns result
+   * @param  {string} password password of user logging in, null when server-side instance is passwordless
+   * @param  {function} callback optional function to call when server returns result
+   * @returns {Promise}  result, when callback is not given
    */
   verifyContact(selector, password, callback){
-    check(selector, String);
-    check(password, String);
-    check(callback, Function);
-    let digest = Accounts._hashPassword(password).digest;
-    Meteor.call(`${this.prefix}/verifyContact`, selector, digest, callback);
+    return withCallback(callback, done=>{
+      check(selector, String);
+      check(password, Match.Maybe(String));
+      let digest = passwordDigest(password);
+      Meteor.call(`${this.prefix}/verifyContact`, selector, digest, done);
+    });
   }
 
   /**
-   * assertOpenSession - check if there is a session of id awaiting token
-   * useful for checking if need to regenerate token
+   * assertOpenSession - check if the session of this login flow is awaiting token
+   * useful for checking if need to regenerate token, always true when server-side instance is passwordless
    *
    * @param  {string} selector username or email of user logging in
-   * @param  {string} password password of user logging in
-   * @param  {function} callback = ()=>{}  optional function to call when server returns result
+   * @param  {string} password password of user logging in, null when server-side instance is passwordless
+   * @param  {function} callback = undefined  optional function to call when server returns result
+   * @returns {Promise}  result, when callback is not given
+   */
+  assertOpenSession(selector, password, callback = undefined){
+    return withCallback(callback, done=>{
+      check(selector, String);
+      check(password, Match.Maybe(String));
+      let digest = passwordDigest(password);
+      Meteor.call(`${this.prefix}/assertOpenSession`, selector, digest, this.flowId(), done);
+    });
+  }
+
+  /**
+   * requestConfirmation - request a token for the logged in user to confirm a sensitive action,
+   * when a method fails with user/verification-required, then call confirmAction with the token and retry it
+   *
+   * @param  {object} options = {} optional, factor is the name of factor to send token via,
+   * defaults to primary factor of user
+   * @param  {function} callback optional function to call when server returns result,
+   * result.factor and result.contact are the channel and masked contact the token went out on
+   * @returns {Promise}  result, when callback is not given
+   */
+  requestConfirmation(options = {}, callback = undefined){
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    return withCallback(callback, done=>{
+      check(options, {factor: Match.Maybe(String)});
+      Meteor.call(`${this.prefix}/requestConfirmation`, options, (err, res)=>{
+        if (err) {this.failState(err);}
+        else {
+          let {expireAt, resendAt, factor, contact, format} = res;
+          this.setState(LoginStates.AWAITING_TOKEN, {expireAt, resendAt, lockedUntil: undefined, factor, contact, format});
+        }
+        done(err, res);
+      });
+    });
+  }
+
+  /**
+   * confirmAction - verify the token of requestConfirmation, methods requiring a recent verification
+   * then run on this connection until the verification is too old
+   *
+   * @param  {string} token     token sent to factor
+   * @param  {function} callback = undefined  optional function to call when server returns result
+   * @returns {Promise}  result, when callback is not given
+   */
+  confirmAction(token, callback = undefined){
+    return withCallback(callback, done=>{
+      check(token, String);
+      this.setState(LoginStates.VERIFYING);
+      Meteor.call(`${this.prefix}/confirmAction`, token, this.settleState(done));
+    });
+  }
+
+  /**
+   * enrollTotp - start enrolling an authenticator app for the logged in user,
+   * result contains the secret and an otpauth uri to show as QR code
+   *
+   * @param  {function} callback optional function to call when server returns result
+   * @returns {Promise}  result, when callback is not given
+   */
+  enrollTotp(callback){
+    return withCallback(callback, done=>Meteor.call(`${this.prefix}/enrollTotp`, done));
+  }
+
+  /**
+   * confirmTotp - finish enrolling an authenticator app with a code it generated, a wrong code fails with token/mismatch
+   *
+   * @param  {string} token    code shown in authenticator app
+   * @param  {function} callback = undefined  optional function to call when server returns result
+   * @returns {Promise}  result, when callback is not given
    */
-  assertOpenSession(selector, password, callback = ()=>{}){
-    check(selector, String);
-    check(password, String);
-    check(callback, Function);
-    let digest = Accounts._hashPassword(password).digest;
-    Meteor.call(`${this.prefix}/assertOpenSession`, selector, digest, callback);
+  confirmTotp(token, callback = undefined){
+    return withCallback(callback, done=>{
+      check(token, String);
+      Meteor.call(`${this.prefix}/confirmTotp`, token, done);
+    });
+  }
+
+  /**
+   * regenerateRecoveryCodes - replace the recovery codes of the logged in user,
+   * result contains the new codes, which cannot be retrieved again,
+   * fails with user/verification-required unless a token was verified just before, i.e. by login or confirmAction
+   *
+   * @param  {function} callback optional function to call when server returns result
+   * @returns {Promise}  result, when callback is not given
+   */
+  regenerateRecoveryCodes(callback){
+    return withCallback(callback, done=>Meteor.call(`${this.prefix}/regenerateRecoveryCodes`, done));
+  }
+
+  /**
+   * recoveryCodesRemaining - count the unused recovery codes of the logged in user
+   *
+   * @param  {function} callback optional function to call when server returns result
+   * @returns {Promise}  result, when callback is not given
+   */
+  recoveryCodesRemaining(callback){
+    return withCallback(callback, done=>Meteor.call(`${this.prefix}/recoveryCodesRemaining`, done));
+  }
+
+  /**
+   * linkFactor - get a link code for the logged in user to link the contact of a factor,
+   * result contains the code and the url to open, i.e. to send /start <code> to the Telegram bot
+   *
+   * @param  {string} factor   name of factor to link
+   * @param  {function} callback optional function to call when server returns result
+   * @returns {Promise}  result, when callback is not given
+   */
+  linkFactor(factor, callback){
+    return withCallback(callback, done=>{
+      check(factor, String);
+      Meteor.call(`${this.prefix}/linkFactor`, factor, done);
+    });
+  }
+
+  /**
+   * listFactors - list the factors of the logged in user, with masked contacts, primary first
+   *
+   * @param  {function} callback optional function to call when server returns result
+   * @returns {Promise}  result, when callback is not given
+   */
+  listFactors(callback){
+    return withCallback(callback, done=>Meteor.call(`${this.prefix}/listFactors`, done));
+  }
+
+  /**
+   * enrollFactor - send a token to a new contact of the logged in user, which is saved once confirmFactor verifies it,
+   * users that have factors must have recently verified one, see confirmAction
+   *
+   * @param  {string} factor   name of factor, i.e. 'email'
+   * @param  {string} contact  address to send tokens to
+   * @param  {boolean} primary  make it the primary factor
+   * @param  {function} callback optional function to call when server returns result
+   * @returns {Promise}  result, when callback is not given
+   */
+  enrollFactor(factor, contact, primary, callback){
+    return withCallback(callback, done=>{
+      check([factor, contact], [String]);
+      check(primary, Boolean);
+      Meteor.call(`${this.prefix}/enrollFactor`, factor, contact, primary, done);
+    });
+  }
+
+  /**
+   * confirmFactor - save the contact of enrollFactor with the token sent to it,
+   * result is the factors of user as listFactors
+   *
+   * @param  {string} token    token sent to new contact
+   * @param  {function} callback optional function to call when server returns result
+   * @returns {Promise}  result, when callback is not given
+   */
+  confirmFactor(token, callback){
+    return withCallback(callback, done=>{
+      check(token, String);
+      Meteor.call(`${this.prefix}/confirmFactor`, token, done);
+    });
+  }
+
+  /**
+   * removeFactor - remove a factor of the logged in user, result is the remaining factors as listFactors
+   *
+   * @param  {string} factor   name of factor
+   * @param  {function} callback = undefined  optional function to call when server returns result
+   * @returns {Promise}  result, when callback is not given
+   */
+  removeFactor(factor, callback = undefined){
+    return withCallback(callback, done=>{
+      check(factor, String);
+      Meteor.call(`${this.prefix}/removeFactor`, factor, done);
+    });
+  }
+
+  /**
+   * setPrimaryFactor - make a registered factor the primary factor of the logged in user
+   *
+   * @param  {string} factor   name of factor
+   * @param  {function} callback = undefined  optional function to call when server returns result
+   * @returns {Promise}  result, when callback is not given
+   */
+  setPrimaryFactor(factor, callback = undefined){
+    return withCallback(callback, done=>{
+      check(factor, String);
+      Meteor.call(`${this.prefix}/setPrimaryFactor`, factor, done);
+    });
+  }
+
+  /**
+   * trustDevice - trust this device for the logged in user, so later logins skip the second factor,
+   * the device token is kept in local storage under the username and emails of user, see deviceKeys,
+   * fails with user/verification-required unless a token was verified just before, i.e. by login or confirmAction
+   *
+   * @param  {string} name = ''  label to recognise the device by
+   * @param  {function} callback = undefined  optional function to call when server returns result
+   * @returns {Promise}  result, when callback is not given
+   */
+  trustDevice(name = '', callback = undefined){
+    return withCallback(callback, done=>{
+      check(name, String);
+      Meteor.call(`${this.prefix}/trustDevice`, name, (err, res)=>{
+        if (res) {this.deviceKeys().forEach(key=>Meteor._localStorage.setItem(key, res));}
+        done(err, !!res);
+      });
+    });
+  }
+
+  /**
+   * forgetDevice - remove the device token of a user from this device, later logins need the second factor again
+   * this does not revoke the device on server, use revokeDevice for that
+   *
+   * @param  {string} selector = undefined optional, username or email of user, defaults to the logged in user
+   */
+  forgetDevice(selector = undefined){
+    check(selector, Match.Maybe(String));
+    this.deviceKeys(selector).forEach(key=>Meteor._localStorage.removeItem(key));
+    // device token of earlier versions, kept for whichever user trusted the device
+    Meteor._localStorage.removeItem(this.deviceKey);
+  }
+
+  /**
+   * deviceKeys - local storage keys of the device token of a user, one per username or email,
+   * so users sharing a browser do not send or forget each other's token
+   *
+   * @param  {string} selector = undefined optional, username or email of user, defaults to the logged in user
+   * @returns {string[]}          keys, none when no user is given or logged in
+   */
+  deviceKeys(selector = undefined){
+    let user = Meteor.user() || {};
+    let selectors = selector !== undefined ? [selector] : [user.username].concat((user.emails || []).map(email=>email.address));
+    return selectors.filter(entry=>!!entry).map(entry=>`${this.deviceKey}:${entry.trim().toLowerCase()}`);
+  }
+
+  /**
+   * listDevices - list the trusted devices of the logged in user
+   *
+   * @param  {function} callback optional function to call when server returns result
+   * @returns {Promise}  result, when callback is not given
+   */
+  listDevices(callback){
+    return withCallback(callback, done=>Meteor.call(`${this.prefix}/listDevices`, done));
+  }
+
+  /**
+   * revokeDevice - stop trusting a device of the logged in user
+   *
+   * @param  {string} deviceId id of device to revoke
+   * @param  {function} callback = undefined  optional function to call when server returns result
+   * @returns {Promise}  result, when callback is not given
+   */
+  revokeDevice(deviceId, callback = undefined){
+    return withCallback(callback, done=>{
+      check(deviceId, String);
+      Meteor.call(`${this.prefix}/revokeDevice`, deviceId, done);
+    });
   }
 
 }
 
+// exported to create further instances, i.e. a separate admin login flow
+export { TokenLogin };
+
 TwoFactorLogin = new TokenLogin('LoginSession');
@@ -0,0 +1,63 @@
+import { Email } from 'meteor/email';
+import { check, Match } from 'meteor/check';
+import { _ } from 'meteor/underscore';
+
+import { renderMessage } from './tokenlogin-messages.js';
+
+let defaultSettings = {
+  timeout: 10000,  // smtp servers may be slow to reply
+  from: 'no-reply@localhost',
+  subject: 'Your login code',
+  text: 'Your login code is {{token}}. It expires in {{expiry}} minutes.',
+  html: '<p>Your login code is <strong>{{token}}</strong>.</p><p>It expires in {{expiry}} minutes.</p>',
+  // used instead when tokens are sent as magic links
+  linkText: 'Open this link to log in: {{link}}\nIt expires in {{expiry}} minutes.',
+  linkHtml: '<p><a href="{{link}}">Log in</a></p><p>It expires in {{expiry}} minutes.</p>',
+};
+
+/**
+ * emailFactor - creates a factor that sends tokens with Meteor's Email package,
+ * register it with TokenLogin.addFactor, i.e. instance.addFactor(emailFactor({from}), 'email')
+ * when MAIL_URL is not set, Email prints the message on console instead
+ * templates may use {{token}} and {{expiry}}, expiry being in minutes, link templates may also use {{link}}
+ * instances send the message they render instead, in the locale of user, see TokenLogin.messageFor
+ *
+ * @param  {object} settings = {} optional, from, subject, text, html, linkText, linkHtml and timeout,
+ * templates may be strings or functions of the values
+ * @returns {object}          factor with send function and settings
+ */
+function emailFactor(settings = {}){
+  let template = Match.Maybe(Match.OneOf(String, Function));
+  check(settings, {
+    timeout: Match.Maybe(Match.Integer),
+    from: Match.Maybe(String),
+    subject: template,
+    text: template,
+    html: template,  // null to send text only
+    linkText: template,
+    linkHtml: template,
+  });
+  return {
+    send: (contact, token, factor, options, callback)=>{
+      let values = {token, expiry: Math.round(options.expiry / (60*1000)), link: options.link};
+      let rendered = options.message || renderMessage(options, values);
+      let message = {
+        from: options.from,
+        to: contact,
+        subject: rendered.subject,
+        text: rendered.text,
+      };
+      if (rendered.html) {message.html = rendered.html;}
+      try {
+        Email.send(message);
+      } catch (err) {
+        callback(err);
+        return;
+      }
+      callback(undefined, 'send success');
+    },
+    settings: _.extend({}, defaultSettings, settings),
+  };
+}
+
+export { emailFactor };
@@ -0,0 +1,68 @@
+import { Meteor } from 'meteor/meteor';
+
+/**
+ * error codes used as the error field of every Meteor.Error thrown by TokenLogin,
+ * shared by client and server so login forms can tell failures apart
+ * codes before a password is verified never reveal whether an account exists
+ */
+const ErrorCodes = {
+  USER_NOT_FOUND: 'user/password-not-found',
+  USER_NOT_LOGGED_IN: 'user/not-logged-in',
+  USER_LOCKED_OUT: 'user/locked-out',
+  PASSWORD_REQUIRED: 'user/password-required',
+  VERIFICATION_REQUIRED: 'user/verification-required',
+  SESSION_NOT_FOUND: 'session/not-found',
+  SESSION_VERIFIED: 'session/already-verified',
+  TOKEN_EXPIRED: 'token/expired',
+  TOKEN_MISMATCH: 'token/mismatch',
+  FACTOR_UNSUPPORTED: 'factor/unsupported',
+  FACTOR_NOT_REGISTERED: 'factor/not-registered',
+  FACTOR_LAST: 'factor/last-factor',
+  FACTOR_DISABLED: 'factor/disabled',
+  FACTOR_SEND_FAILED: 'factor/send-failed',
+  FACTOR_SEND_TIMEOUT: 'factor/send-timeout',
+  TOTP_NOT_ENROLLED: 'totp/not-enrolled',
+  LINK_INVALID: 'link/invalid',
+  LINK_OTHER_BROWSER: 'link/other-browser',
+  LOGIN_TOKEN_NOT_SAVED: 'login/token-not-saved',
+  ADMIN_FORBIDDEN: 'admin/forbidden',
+  SECOND_FACTOR_REQUIRED: 'login/second-factor-required',
+};
+
+const ErrorMessages = {
+  [ErrorCodes.USER_NOT_FOUND]: `The username and password combination is not found`,
+  [ErrorCodes.USER_NOT_LOGGED_IN]: `You must be logged in to do this`,
+  [ErrorCodes.USER_LOCKED_OUT]: `Too many failed attempts, try again later`,
+  [ErrorCodes.PASSWORD_REQUIRED]: `This is not available without a password`,
+  [ErrorCodes.VERIFICATION_REQUIRED]: `Confirm this action with a token first`,
+  [ErrorCodes.SESSION_NOT_FOUND]: `There is no session awaiting a token, request a new token`,
+  [ErrorCodes.SESSION_VERIFIED]: `This session is already verified, request a new token`,
+  [ErrorCodes.TOKEN_EXPIRED]: `The token has expired, request a new token`,
+  [ErrorCodes.TOKEN_MISMATCH]: `The token is incorrect`,
+  [ErrorCodes.FACTOR_UNSUPPORTED]: `This factor is not supported`,
+  [ErrorCodes.FACTOR_NOT_REGISTERED]: `This factor is not registered for user`,
+  [ErrorCodes.FACTOR_LAST]: `A second factor is required, add another factor before removing this one`,
+  [ErrorCodes.FACTOR_DISABLED]: `This factor is disabled for user, ask an administrator to enable it`,
+  [ErrorCodes.FACTOR_SEND_FAILED]: `The token could not be sent`,
+  [ErrorCodes.FACTOR_SEND_TIMEOUT]: `Sending the token timed out`,
+  [ErrorCodes.TOTP_NOT_ENROLLED]: `Authenticator app enrollment has not been started`,
+  [ErrorCodes.LINK_INVALID]: `This link is invalid, request a new one`,
+  [ErrorCodes.LINK_OTHER_BROWSER]: `Open this link in the browser you requested it from`,
+  [ErrorCodes.LOGIN_TOKEN_NOT_SAVED]: `Unable to save login token to user services`,
+  [ErrorCodes.ADMIN_FORBIDDEN]: `You are not allowed to manage the second factors of this user`,
+  [ErrorCodes.SECOND_FACTOR_REQUIRED]: `A second factor is required, request a token to log in`,
+};
+
+/**
+ * tokenLoginError - creates a Meteor.Error for an error code, with its default reason
+ *
+ * @param  {string} code    one of ErrorCodes
+ * @param  {*} details = undefined optional, extra information for client, i.e. when a lockout ends
+ * @param  {string} reason = default optional, replaces default reason
+ * @returns {Meteor.Error}   error to throw
+ */
+function tokenLoginError(code, details = undefined, reason = ErrorMessages[code]){
+  return new Meteor.Error(code, reason, details);
+}
+
+export { ErrorCodes, tokenLoginError };
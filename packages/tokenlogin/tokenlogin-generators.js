@@ -0,0 +1,64 @@
+import { Random } from 'meteor/random';
+import { check, Match } from 'meteor/check';
+import { _ } from 'meteor/underscore';
+
+const alphabets = {
+  numeric: '0123456789',
+  // uppercase letters and digits without 0/O and 1/I/L, which are easily mistaken for each other
+  unambiguous: '23456789ABCDEFGHJKMNPQRSTUVWXYZ',
+};
+
+/**
+ * tokenGenerator - creates a generator of tokens of random characters of an alphabet,
+ * optionally in groups, i.e. 123-456, set it as generate of TokenLogin config
+ * normalize drops whitespace and separators, and uppercases unless caseSensitive, so typed tokens match
+ * format describes the tokens for clients, to render the right input
+ *
+ * @param  {object} settings alphabet and length, optionally group size, separator and caseSensitive
+ * @returns {object}          generator with generate, normalize and format
+ */
+function tokenGenerator(settings){
+  check(settings, {
+    alphabet: String,
+    length: Match.Integer,
+    group: Match.Maybe(Match.Integer),
+    separator: Match.Maybe(String),
+    caseSensitive: Match.Maybe(Boolean),
+  });
+  let {alphabet, length, group = 0, separator = '-', caseSensitive = false} = settings;
+  let numeric = /^[0-9]+$/.test(alphabet);
+  return {
+    generate: ()=>{
+      let token = _.times(length, ()=>Random.choice(alphabet)).join('');
+      if (!group) {return token;}
+      return token.match(new RegExp(`.{1,${group}}`, 'g')).join(separator);
+    },
+    normalize: (token)=>{
+      let cleaned = _.reject(token.replace(/[\s\-_.]/g, ''), char=>char === separator).join('');
+      return caseSensitive ? cleaned : cleaned.toUpperCase();
+    },
+    format: {
+      length,
+      group,
+      separator: group ? separator : undefined,
+      alphabet,
+      caseSensitive,
+      inputMode: numeric ? 'numeric' : 'text',
+    },
+  };
+}
+
+/**
+ * presets of tokenGenerator, i.e. generate: tokenGenerators.numeric(6)
+ * settings override the preset, i.e. tokenGenerators.grouped(8, 4, {alphabet: alphabets.unambiguous})
+ */
+const tokenGenerators = {
+  // digits only, i.e. 123456
+  numeric: (length = 6, settings = {})=>tokenGenerator(_.extend({alphabet: alphabets.numeric, length}, settings)),
+  // uppercase letters and digits that cannot be confused, i.e. 7KQ2MX9P
+  unambiguous: (length = 8, settings = {})=>tokenGenerator(_.extend({alphabet: alphabets.unambiguous, length}, settings)),
+  // digits in groups, i.e. 123-456
+  grouped: (length = 6, group = 3, settings = {})=>tokenGenerator(_.extend({alphabet: alphabets.numeric, length, group}, settings)),
+};
+
+export { tokenGenerator, tokenGenerators, alphabets };
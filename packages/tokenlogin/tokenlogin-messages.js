@@ -0,0 +1,82 @@
+import { _ } from 'meteor/underscore';
+
+/**
+ * escapeHtml - escapes a value for interpolation into html templates
+ *
+ * @param  {*} value value to escape
+ * @returns {string}  escaped string
+ */
+function escapeHtml(value){
+  return String(value).replace(/[&<>"']/g, char=>`&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * render - fills the {{placeholders}} of a template, unknown placeholders are left as they are
+ *
+ * @param  {string|function} template template string, or function returning the message from values
+ * @param  {object} values   values of placeholders
+ * @param  {function} escape = String optional, applied to each value before interpolation
+ * @returns {string}          rendered message
+ */
+function render(template, values, escape = String){
+  if (_.isFunction(template)) {return template(values);}
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key)=>{
+    return _.has(values, key) ? escape(values[key]) : match;
+  });
+}
+
+/**
+ * localeCandidates - locales to look templates up in, in order, i.e. de-AT, de, then the default locale
+ *
+ * @param  {string} locale        locale of user, undefined when not set
+ * @param  {string} defaultLocale locale to fall back to
+ * @returns {string[]}             locales
+ */
+function localeCandidates(locale, defaultLocale){
+  let candidates = [];
+  if (_.isString(locale) && locale) {
+    let parts = locale.replace(/_/g, '-').split('-');
+    candidates.push(parts.join('-'), parts[0]);
+  }
+  candidates.push(defaultLocale);
+  return _.uniq(candidates);
+}
+
+/**
+ * localizeTemplates - picks the templates of a factor in the first locale that has all of them,
+ * messages are keyed by factor name, or default for all factors, then by locale,
+ * i.e. {default: {en: {text}}, email: {de: {subject, text, html}}}, templates of factor override default ones
+ * a locale missing one of the required templates is skipped, so a message never mixes languages
+ *
+ * @param  {object} messages templates by factor and locale
+ * @param  {string} factor   name of factor
+ * @param  {string[]} locales locales to try in order, see localeCandidates
+ * @param  {string[]} required = [] optional, templates a locale must have, i.e. those of the factor settings
+ * @returns {object}          templates and the locale they are in, no templates when no locale has them
+ */
+function localizeTemplates(messages, factor, locales, required = []){
+  let templatesOf = (locale)=>_.extend({}, messages.default && messages.default[locale], messages[factor] && messages[factor][locale]);
+  let complete = (templates)=>!_.isEmpty(templates) && _.every(required, key=>_.has(templates, key));
+  let locale = _.find(locales, candidate=>complete(templatesOf(candidate)));
+  return {locale, templates: locale ? templatesOf(locale) : {}};
+}
+
+/**
+ * renderMessage - renders the subject, text and html of a token message,
+ * using the link templates when values have a magic link
+ *
+ * @param  {object} templates subject, text, html, linkText and linkHtml, strings or functions of the values
+ * @param  {object} values    values of placeholders, i.e. token, expiry and link
+ * @returns {object}           subject, text and html, undefined when there is no template for them
+ */
+function renderMessage(templates, values){
+  let text = values.link ? templates.linkText : templates.text;
+  let html = values.link ? templates.linkHtml : templates.html;
+  return {
+    subject: templates.subject ? render(templates.subject, values) : undefined,
+    text: text ? render(text, values) : undefined,
+    html: html ? render(html, values, escapeHtml) : undefined,
+  };
+}
+
+export { render, escapeHtml, localeCandidates, localizeTemplates, renderMessage };
@@ -6,9 +6,37 @@ import { check, Match } from 'meteor/check';
 import { Random } from 'meteor/random';
 import { DDPRateLimiter } from 'meteor/ddp-rate-limiter';
 import { Accounts } from 'meteor/accounts-base';
+import { WebApp } from 'meteor/webapp';
 import { _ } from 'meteor/underscore';
+import crypto from 'crypto';
+import url from 'url';
+import querystring from 'querystring';
 
-export { TwoFactorLogin };
+import * as Totp from './tokenlogin-totp.js';
+import { ErrorCodes, tokenLoginError } from './tokenlogin-errors.js';
+import { emailFactor } from './tokenlogin-email.js';
+import { telegramFactor } from './tokenlogin-telegram.js';
+import { smsFactor, smsProviders } from './tokenlogin-sms.js';
+import { tokenGenerator, tokenGenerators } from './tokenlogin-generators.js';
+import { localeCandidates, localizeTemplates, renderMessage, escapeHtml } from './tokenlogin-messages.js';
+
+/**
+ * events emitted for every authentication step, see TokenLogin.on
+ */
+const AuditEvents = {
+  REQUESTED: 'token/requested',
+  SENT: 'token/sent',
+  SEND_FAILED: 'token/send-failed',
+  VERIFIED: 'token/verified',
+  VERIFY_FAILED: 'token/verify-failed',
+  INVALIDATED: 'session/invalidated',
+  FACTOR_ADDED: 'factor/added',
+  FACTOR_REMOVED: 'factor/removed',
+  ADMIN_ACTION: 'admin/action',
+};
+
+export { TwoFactorLogin, Totp, ErrorCodes, AuditEvents, emailFactor, telegramFactor, smsFactor, smsProviders, tokenGenerator,
+  tokenGenerators };
 
 let defaultConfig = {
   factors: {
@@ -22,18 +50,97 @@ let defaultConfig = {
         timeout: 5000,  // how long to wait for send server reply before timeout
       },
     },
+    // authenticator app (RFC 6238), codes are generated on the user's device so nothing is sent
+    totp: {
+      verify: (user, token, settings, instance)=>instance.verifyTotp(user, token, settings),
+      format: (settings)=>tokenGenerators.numeric(settings.digits).format,
+      normalize: (token, settings)=>tokenGenerators.numeric(settings.digits).normalize(token),
+      settings: {
+        issuer: 'TokenLogin',  // name shown in the authenticator app
+        digits: 6,
+        step: 30,  // in seconds
+        window: 1,  // number of steps of clock drift allowed either side
+      },
+    },
   },
-  generate: ()=>Random.id(6),
+  generate: ()=>Random.id(6),  // function returning a token, or a generator of tokenGenerators, i.e. tokenGenerators.numeric(6)
   validate: ()=>true,
   settings: null,
   timeout: 1000,
   expiry: 5*(60*1000),  // in milliseconds
-  retain: 7*24*60*(60*1000),  // 1 week
+  retain: 7*24*60*(60*1000),  // 1 week, verified sessions are kept longer while login tokens they issued are valid
   requestInterval: 10*1000,  // 10 seconds
   requestCount: 1,
   profile: 'TokenLogin',
+  recoveryCodes: 10,  // number of recovery codes generated per user
+  deviceSecret: null,  // signs trusted device tokens and magic links, random per instance unless set to keep them valid across restarts
+  // keys the hashes of tokens kept in Mongo, so a dump or backup alone cannot be brute-forced, keep it out of Mongo,
+  // defaults to the TOKENLOGIN_SECRET environment variable or Meteor.settings.tokenlogin.secret,
+  // without either, session tokens are keyed by a random secret per process, and recovery codes are not keyed
+  hashSecret: null,
+  deviceExpiry: 30*24*60*(60*1000),  // 30 days
+  maxAttempts: 5,  // wrong tokens allowed per session
+  lockoutThreshold: 3,  // failed sessions before user is locked out
+  lockoutDuration: 60*1000,  // first lockout, doubles with every further failed session
+  lockoutMaxDuration: 24*60*(60*1000),  // 1 day
+  audit: false,  // keep audit log collection of every authentication step
+  linkExpiry: 10*60*1000,  // 10 minutes, for link codes of factors that link their own contact
+  retries: 2,  // send attempts after the first fails, factor settings may override
+  retryDelay: 1000,  // before first retry, doubles with every retry, factor settings may override
+  failover: true,  // send via other factors of user when sending via the requested factor fails
+  magicLink: null,  // set to send tokens as signed links, see defineRoutes
+  passwordless: false,  // token is the only credential, requestToken and getLoginToken take no password digest
+  // which users must log in with a second factor, others may use Meteor.loginWithPassword and other login services,
+  // true, a function of (user, service) returning a boolean, or {roles, services}, see requiresSecondFactor
+  requireSecondFactor: true,
+  verificationMaxAge: 5*60*1000,  // default of requireRecentVerification, 5 minutes
+  legacyProfile: false,  // also read factors from profile.<profile>, which users can write themselves
+  migrateProfile: true,  // move factors out of profile.<profile> at startup, see migrateLegacyFactors
+  // binds flow ids to the client that requested them, ['clientAddress', 'userAgent'] or a function of connection
+  // returning a fingerprint, null to bind them to the user only
+  flowBinding: null,
+  // decides whether a user may use the admin methods and publication, function of (adminId, action, userId)
+  // returning a boolean, where action is the name of the method or 'sessions' for the publication, null denies all
+  authorizeAdmin: null,
+  adminRequestInterval: 10*1000,  // 10 seconds, rate limit of each admin method per admin
+  adminRequestCount: 20,
+  bypassExpiry: 24*60*(60*1000),  // 1 day, for one-time bypass codes issued by admins
+  loginTokenExpiry: null,  // lifetime of login tokens issued after verifying, shorter than Meteor's own when set
+  // templates of token messages by factor name, or default for all factors, then by locale, see messageFor,
+  // i.e. {default: {de: {text, linkText}}, email: {de: {subject, text, html}}}, factor settings are used when no locale has them all
+  messages: {},
+  defaultLocale: 'en',  // locale of messages when user has none, or it has no templates
+  userLocale: 'profile.locale',  // path of locale on user document, or function of user returning it
+  appName: null,  // {{appName}} of messages, defaults to host name of Meteor.absoluteUrl()
+};
+
+// secrets of sessions, never published or returned by the admin API
+const sessionSecretFields = {salt: 0, tokenHash: 0, token: 0, flowId: 0, fingerprint: 0, loginTokenHash: 0, browserId: 0};
+
+// a factor of user, as kept in services.<profile>.factors
+const factorPattern = {factor: String, contact: Match.Maybe(String), primary: Match.Maybe(Boolean), disabled: Match.Maybe(Boolean)};
+
+let defaultMagicLink = {
+  path: null,  // defaults to /tokenlogin/<identifier>/link
+  redirect: '/',  // page of app that completes login, see client handleMagicLink
+  sameBrowser: false,  // only the browser that requested the token may use the link
 };
 
+/**
+ * cloneDefaults - deep copy of the plain objects and arrays of defaults, so instances never share them,
+ * functions are kept as they are
+ *
+ * @param  {*} value default value
+ * @returns {*}       copy of value
+ */
+function cloneDefaults(value){
+  if (_.isArray(value)) {return value.map(cloneDefaults);}
+  if (!_.isObject(value) || _.isFunction(value)) {return value;}
+  let copy = {};
+  _.each(value, (item, key)=>{copy[key] = cloneDefaults(item);});
+  return copy;
+}
+
 /**
  * validateSelector - modifies selector to find user by email or username
  * this function is identical to the selector Meteor Accounts uses
@@ -63,41 +170,285 @@ function validateSelector(selector){
 function findUser(selector, digest){
   let validatedSelector = validateSelector(selector);
   let user = Accounts.users.findOne(validatedSelector);
-  if (!user) {
-    throw new Meteor.Error(`user/password-not-found`, `The username and password combination is not found`);
+  if (!user || !digest) {
+    throw tokenLoginError(ErrorCodes.USER_NOT_FOUND);
   }
   let passwordCheck = Accounts._checkPassword(user, {digest, algorithm: 'sha-256'});
   if (passwordCheck.error) {
-    throw new Meteor.Error(`user/password-not-found`, `The username and password combination is not found`);
+    throw tokenLoginError(ErrorCodes.USER_NOT_FOUND);
+  }
+  return user;
+}
+
+/**
+ * maskContact - hides most of a contact address so it can be shown before login
+ * emails keep their first character and domain, others keep their last 4 characters
+ *
+ * @param  {string} contact contact address, i.e. phone number or email address
+ * @returns {string}         masked contact
+ */
+function maskContact(contact){
+  if (!_.isString(contact)) {return contact;}
+  let at = contact.indexOf('@');
+  if (at > 0) {
+    return `${contact[0]}${'*'.repeat(Math.max(at - 1, 3))}${contact.slice(at)}`;
+  }
+  let visible = Math.min(4, Math.floor(contact.length / 2));
+  return `${'*'.repeat(contact.length - visible)}${contact.slice(contact.length - visible)}`;
+}
+
+/**
+ * hashRecoveryCode - hashes a recovery or bypass code for storage, ignoring case, whitespace and dashes,
+ * keyed by a secret kept out of Mongo when one is configured, see hashToken,
+ * codes are too long to be brute-forced from a dump, the secret only adds to that
+ *
+ * @param  {string} secret configured hash secret, undefined when there is none
+ * @param  {string} code recovery code as shown to or typed by user
+ * @returns {string}      hex encoded sha256 hmac, or sha256 hash without secret
+ */
+function hashRecoveryCode(secret, code){
+  let normalized = code.toLowerCase().replace(/[\s-]/g, '');
+  return (secret ? crypto.createHmac('sha256', secret) : crypto.createHash('sha256')).update(normalized).digest('hex');
+}
+
+/**
+ * hashToken - hashes a session token with its salt for storage, keyed by a secret kept out of Mongo,
+ * so reading the collection or its backups does not reveal live tokens, nor lets them be brute-forced
+ *
+ * @param  {string} secret hashSecret of config
+ * @param  {string} salt  random salt of session
+ * @param  {string} token session token
+ * @returns {string}       hex encoded sha256 hmac
+ */
+function hashToken(secret, salt, token){
+  return crypto.createHmac('sha256', secret).update(`${salt}${token}`).digest('hex');
+}
+
+let randomHashSecret;
+
+/**
+ * configuredHashSecret - secret of hashes when config.hashSecret is not set,
+ * from the TOKENLOGIN_SECRET environment variable or Meteor.settings.tokenlogin.secret
+ *
+ * @returns {string}  secret, undefined when neither is set
+ */
+function configuredHashSecret(){
+  return process.env.TOKENLOGIN_SECRET || get(Meteor.settings, 'tokenlogin.secret') || undefined;
+}
+
+/**
+ * defaultHashSecret - secret of hashToken when config.hashSecret is not set, see configuredHashSecret,
+ * otherwise a random one per process, with which session tokens do not survive a restart
+ *
+ * @returns {string}  secret
+ */
+function defaultHashSecret(){
+  let secret = configuredHashSecret();
+  if (secret) {return secret;}
+  if (!randomHashSecret) {
+    console.warn(`TokenLogin: set TOKENLOGIN_SECRET or Meteor.settings.tokenlogin.secret, ` +
+      `session tokens are keyed by a random secret that does not survive a restart, recovery codes are not keyed`);
+    randomHashSecret = Random.secret();
+  }
+  return randomHashSecret;
+}
+
+/**
+ * safeEqual - compares two strings in constant time, so timing does not reveal how much matched
+ *
+ * @param  {string} a first string
+ * @param  {string} b second string
+ * @returns {boolean}   true when strings are equal
+ */
+function safeEqual(a, b){
+  if (!_.isString(a) || !_.isString(b) || a.length !== b.length) {return false;}
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference += a.charCodeAt(i) === b.charCodeAt(i) ? 0 : 1;
+  }
+  return difference === 0;
+}
+
+/**
+ * legacyFactors - factors kept in profile.<profile> by earlier versions,
+ * where a single {contact, factor} pair is treated as a list with one primary factor
+ *
+ * @param  {object} notify profile.<profile> of user
+ * @returns {object[]}        factors of user, undefined when there are none
+ */
+function legacyFactors(notify){
+  if (!_.isObject(notify)) {return undefined;}
+  return notify.factors || (notify.factor ? [{factor: notify.factor, contact: notify.contact, primary: true}] : undefined);
+}
+
+/**
+ * connectionInfo - details of a DDP connection recorded with sessions and audit entries
+ *
+ * @param  {object} connection this.connection in methods
+ * @returns {object}            connectionId, clientAddress and userAgent
+ */
+function connectionInfo(connection){
+  return {
+    connectionId: get(connection, 'id'),
+    clientAddress: get(connection, 'clientAddress'),
+    userAgent: get(connection, 'httpHeaders.user-agent'),
+  };
+}
+
+/**
+ * findUserById - find user acted on by admin methods
+ *
+ * @param  {string} userId id of user
+ * @throws {Meteor.Error} when user is not found
+ * @returns {object}        user
+ */
+function findUserById(userId){
+  let user = Accounts.users.findOne(userId);
+  if (!user) {
+    throw tokenLoginError(ErrorCodes.USER_NOT_FOUND);
+  }
+  return user;
+}
+
+/**
+ * findCurrentUser - find the logged in user of a method invocation
+ *
+ * @param  {string} userId id of logged in user, this.userId in methods
+ * @throws {Meteor.Error} when there is no logged in user
+ * @returns {object}        user
+ */
+function findCurrentUser(userId){
+  let user = userId && Accounts.users.findOne(userId);
+  if (!user) {
+    throw tokenLoginError(ErrorCodes.USER_NOT_LOGGED_IN);
   }
   return user;
 }
 
+/**
+ * readForm - reads the url encoded body of a form POST, refusing bodies over maxBytes
+ *
+ * @param  {object} req      node http request
+ * @param  {number} maxBytes largest body accepted
+ * @param  {function} callback function to call with error or parsed fields
+ */
+function readForm(req, maxBytes, callback){
+  let body = '';
+  let failed = false;
+  req.on('data', chunk=>{
+    body += chunk;
+    if (body.length > maxBytes) {
+      failed = true;
+      // the rest of the body is read and dropped
+      body = '';
+      req.removeAllListeners('data');
+      req.resume();
+      callback(new Error(`form body exceeds ${maxBytes} bytes`));
+    }
+  });
+  req.on('error', err=>{
+    if (!failed) {
+      failed = true;
+      callback(err);
+    }
+  });
+  req.on('end', ()=>{
+    if (!failed) {callback(undefined, querystring.parse(body));}
+  });
+}
+
+/**
+ * magicLinkPage - page magic links open, logging in takes a click that POSTs the link back,
+ * so mail scanners and prefetchers fetching the link neither use up nor use it
+ *
+ * @param  {object} link s, t and sig of the link
+ * @returns {string}      html page
+ */
+function magicLinkPage(link){
+  let fields = _.map(_.pick(link, 's', 't', 'sig'), (value, name)=>{
+    return `<input type="hidden" name="${name}" value="${escapeHtml(value)}">`;
+  }).join('');
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><meta name="robots" content="noindex">` +
+    `<meta name="viewport" content="width=device-width, initial-scale=1"><title>Log in</title></head>` +
+    `<body><form method="post">${fields}<button type="submit">Log in</button></form></body></html>`;
+}
+
 class TokenLogin {
 
   /**
    * constructor - create a TokenLogin instance
+   * instances keep their own config, factors, sessions and rate limits,
+   * i.e. separate admin and customer login flows, each needs its own identifier
    *
    * @param  {string} identifier      a unique identifier for this instance
    * @param  {object} config = {} contains various configuration settings
    */
   constructor(identifier, config) {
     check(identifier, String);
-    this.config = defaultConfig;
+    this.config = cloneDefaults(defaultConfig);
     this.validateConfig(config);
-    this.collectionName = `${this.config.profile}:${identifier}:Collection${Random.id()}`;
+    if (!this.config.deviceSecret) {this.config.deviceSecret = Random.secret();}
+    // recovery and bypass codes outlive the process, so they are only keyed by a configured secret
+    this.codeSecret = this.config.hashSecret || configuredHashSecret();
+    if (!this.config.hashSecret) {this.config.hashSecret = defaultHashSecret();}
+    this.collectionName = `${this.config.profile}:${identifier}:Collection`;
     this.collection = new Mongo.Collection(this.collectionName);
     this.collection._ensureIndex({expireAt: 1}, {expireAfterSeconds: 0});
-    this.collection._ensureIndex({verifyAt: 1}, {expireAfterSeconds: this.config.retain/1000});
+    this.collection._ensureIndex({flowId: 1});
+    this.retainSessions();
+    if (this.config.audit) {
+      this.auditCollection = new Mongo.Collection(`${this.config.profile}:${identifier}:Audit`);
+      this.auditCollection._ensureIndex({userId: 1, timestamp: -1});
+    }
+    this.handlers = {};
 
     this.defineMethods(identifier);
+    this.definePublications();
+    if (this.config.magicLink) {this.defineRoutes();}
+    if (this.config.migrateProfile) {Meteor.startup(()=>this.migrateLegacyFactors());}
 
-    // invalidates normal login
-    Accounts.validateLoginAttempt(attempt => {
-      let allowed = ['login', 'verifyEmail', 'resetPassword'];
-      if (_.contains(allowed, attempt.methodName) && attempt.type === 'resume'){return true;}
-      return false;
-    });
+    // invalidates normal login of users that require a second factor
+    Accounts.validateLoginAttempt(attempt => this.validateLoginAttempt(attempt));
+  }
+
+  /**
+   * validateLoginAttempt - hook of Accounts.validateLoginAttempt,
+   * allows resume logins, which include the login service tokens of this instance,
+   * and logins of users that do not require a second factor
+   *
+   * @param  {object} attempt login attempt
+   * @throws {Meteor.Error} login/second-factor-required, client should then request a token instead
+   * @returns {boolean}        true if login is allowed
+   */
+  validateLoginAttempt(attempt){
+    let allowed = ['login', 'verifyEmail', 'resetPassword'];
+    if (_.contains(allowed, attempt.methodName) && attempt.type === 'resume'){return true;}
+    // keep the error of attempts that already failed, i.e. wrong password
+    if (!attempt.allowed) {return true;}
+    if (!attempt.user || this.requiresSecondFactor(attempt.user, attempt.type)) {
+      throw tokenLoginError(ErrorCodes.SECOND_FACTOR_REQUIRED, {service: attempt.type});
+    }
+    return true;
+  }
+
+  /**
+   * requiresSecondFactor - whether user must log in with a second factor, decided by config.requireSecondFactor
+   * with {roles, services}, user requires it when in any of roles and logging in with any of services,
+   * an omitted list matches every role or service, roles are read from user.roles as alanning:roles keeps them
+   *
+   * @param  {object} user    Meteor.user()
+   * @param  {string} service = 'password' login service used, i.e. 'password' or 'google'
+   * @returns {boolean}         true if a second factor is required
+   */
+  requiresSecondFactor(user, service = 'password'){
+    let policy = this.config.requireSecondFactor;
+    if (_.isFunction(policy)) {return !!policy(user, service);}
+    if (!_.isObject(policy)) {return policy !== false;}
+    // roles are either a list, or lists per group
+    let roles = _.isArray(user.roles) ? user.roles : _.flatten(_.values(user.roles || {}));
+    let inRoles = !policy.roles || _.intersection(policy.roles, roles).length > 0;
+    let inServices = !policy.services || _.contains(policy.services, service);
+    return inRoles && inServices;
   }
 
   /**
@@ -109,9 +460,10 @@ class TokenLogin {
     _.each(config.factors, (factor, key)=>{
       this.addFactor(factor, key);
     });
-    delete config.factors;
+    // config object of caller is left as is
+    config = _.omit(config, 'factors');
     check(config, {
-      generate: Match.Maybe(Function),
+      generate: Match.Maybe(Match.OneOf(Function, {generate: Function, normalize: Function, format: Object})),
       validate: Match.Maybe(Function),
       settings: Match.Maybe(Object),
       expiry: Match.Maybe(Match.Integer),
@@ -119,21 +471,71 @@ class TokenLogin {
       requestInterval: Match.Maybe(Match.Integer),
       requestCount: Match.Maybe(Match.Integer),
       profile: Match.Maybe(String),
+      recoveryCodes: Match.Maybe(Match.Integer),
+      deviceSecret: Match.Maybe(String),
+      hashSecret: Match.Maybe(String),
+      deviceExpiry: Match.Maybe(Match.Integer),
+      maxAttempts: Match.Maybe(Match.Integer),
+      lockoutThreshold: Match.Maybe(Match.Integer),
+      lockoutDuration: Match.Maybe(Match.Integer),
+      lockoutMaxDuration: Match.Maybe(Match.Integer),
+      audit: Match.Maybe(Boolean),
+      linkExpiry: Match.Maybe(Match.Integer),
+      retries: Match.Maybe(Match.Integer),
+      retryDelay: Match.Maybe(Match.Integer),
+      failover: Match.Maybe(Boolean),
+      magicLink: Match.Maybe({
+        path: Match.Maybe(String),
+        redirect: Match.Maybe(String),
+        sameBrowser: Match.Maybe(Boolean),
+      }),
+      passwordless: Match.Maybe(Boolean),
+      requireSecondFactor: Match.Maybe(Match.OneOf(Boolean, Function, {
+        roles: Match.Maybe([String]),
+        services: Match.Maybe([String]),
+      })),
+      verificationMaxAge: Match.Maybe(Match.Integer),
+      legacyProfile: Match.Maybe(Boolean),
+      migrateProfile: Match.Maybe(Boolean),
+      flowBinding: Match.Maybe(Match.OneOf(Function, [Match.Where(field=>_.contains(['clientAddress', 'userAgent'], field))])),
+      authorizeAdmin: Match.Maybe(Function),
+      adminRequestInterval: Match.Maybe(Match.Integer),
+      adminRequestCount: Match.Maybe(Match.Integer),
+      bypassExpiry: Match.Maybe(Match.Integer),
+      loginTokenExpiry: Match.Maybe(Match.Integer),
+      messages: Match.Maybe(Object),
+      defaultLocale: Match.Maybe(String),
+      userLocale: Match.Maybe(Match.OneOf(String, Function)),
+      appName: Match.Maybe(String),
     });
+    if (config.magicLink) {config.magicLink = _.extend({}, defaultMagicLink, config.magicLink);}
     Object.assign(this.config, config);
   }
 
   /**
    * addFactor - add a factor to TokenLogin instance
+   * a factor either sends the token, or verifies tokens it did not need to send (i.e. authenticator apps)
+   * send(contact, token, factor, settings, callback) may return a Promise instead of calling back
+   * factors may also have attach, called with this instance and key when added,
+   * and link, returning the url user opens with a link code to link their contact (i.e. Telegram bots)
+   * factors with verify may describe their codes with format(settings), see tokenFormat,
+   * and clean up typed codes with normalize(token, settings), see normalizeToken
    *
-   * @param  {string} factor sending method, user-defined function to call to send factor
+   * @param  {object} factor send or verify function, user-defined function to call to send or verify token
    * @param  {string} key    name of factor, i.e. 'telegram', 'SMS' or 'email'
    */
   addFactor(factor, key){
     check(key, String);
 
+    check(factor, Match.Where(value=>!!(value.send || value.verify)));
     check(factor, {
-      send: Function,
+      send: Match.Maybe(Function),
+      verify: Match.Maybe(Function),
+      attach: Match.Maybe(Function),
+      link: Match.Maybe(Function),
+      handleUpdate: Match.Maybe(Function),
+      format: Match.Maybe(Function),
+      normalize: Match.Maybe(Function),
       // receive: Match.Maybe(Function),
       settings: Match.Maybe(Object),
     });
@@ -142,6 +544,7 @@ class TokenLogin {
     // if (!factor.settings) {factor.settings = defaultConfig.factors.default.settings;}
     // will overwrite existing factors
     this.config.factors[key] = factor;
+    if (factor.attach) {factor.attach(this, key);}
   }
 
   /**
@@ -154,71 +557,113 @@ class TokenLogin {
     this.identifier = identifier;
     let prefix = `TokenLogin:${this.identifier}`;
     let instance = this;
-    Meteor.methods({
+    let methods = {
 
       /**
        * requestToken - allow client-side to request a confirmation token
        *
        * @param {string} selector username or email of user logging in
-       * @param {string} digest password hash of user logging in
-       * @throws {Meteor.Error} when user is not found or contact details in user profile does not
+       * @param {string} digest password hash of user logging in, null in passwordless mode
+       * @param {object} options = {} optional, factor is the name of factor to send token via,
+       * defaults to primary factor of user, deviceToken is a trusted device token of user,
+       * browserId identifies the requesting browser for magic links, flowId is the flow it replaces, which is invalidated
+       * @throws {Meteor.Error} when user is not found, is locked out, or contact details in user profile does not
        * correspond with configuration details of session
-       * @returns {string}  session id of confirmation
+       * @returns {object}  trusted is true when device token skips the second factor,
+       * loginToken is then the Meteor login service token,
+       * otherwise factor and masked contact are those the token was actually sent via, except in passwordless mode,
+       * with expireAt of the token, resendAt, from when another token may be requested,
+       * flowId, which identifies the session across reconnects, and format of the token, see tokenFormat
        */
-      [`${prefix}/requestToken`]:function requestToken(selector, digest){
+      [`${prefix}/requestToken`]:function requestToken(selector, digest, options = {}){
         check(selector, String);
-        check(digest, String);
+        check(digest, Match.Maybe(String));
+        check(options, {
+          factor: Match.Maybe(String),
+          deviceToken: Match.Maybe(String),
+          browserId: Match.Maybe(String),
+          flowId: Match.Maybe(String),
+        });
+        if (instance.config.passwordless) {
+          return instance.requestTokenPasswordless(this.connection, selector, options, this.userId);
+        }
         let user = findUser(selector, digest);
-        let notify = get(user, `profile.${instance.config.profile}`);
-        check(notify, {contact: String, factor: String});
-        let { contact, factor } = notify;
-        if (!instance.config.factors[factor]){
-          throw new Meteor.Error(`${factor} not supported`);
+        instance.assertNotLockedOut(user, this.connection.clientAddress);
+        if (options.deviceToken && instance.verifyDeviceToken(user, options.deviceToken)) {
+          let sessionId = instance.recordLogin(this.connection, user, 'device');
+          return {trusted: true, loginToken: instance.saveMeteorServiceToken(user, sessionId)};
         }
-        instance.invalidateSession(this.connection.id);
-        return instance.requestToken(this.connection.id, user, contact, factor);
+        let factors = instance.selectFactors(user, options.factor);
+        let timing = instance.requestTiming(this.connection, 'requestToken', this.userId);
+        instance.invalidateSession(this.connection, options.flowId, user._id);
+        let delivery = instance.requestToken(this.connection, user, factors, {browserId: options.browserId, flowId: timing.flowId});
+        return _.extend({trusted: false, format: instance.tokenFormat(delivery.factor)}, delivery, timing);
       },
       /**
        * getLoginToken - get Meteor login service token
        *
        * @param {string} selector username or email of user logging in
-       * @param {string} digest password hash of user logging in
-       * @throws {Meteor.Error} when user is not found
-       * @param  {string} token     token sent to factor
-       * @returns {boolean}           true when session is verified
+       * @param {string} digest password hash of user logging in, null in passwordless mode
+       * @throws {Meteor.Error} when user is not found or is locked out, or token does not verify the session,
+       * in passwordless mode every failure is token/mismatch
+       * @param  {string} token     token sent to factor, or one of the recovery codes of user
+       * @param  {string} flowId = undefined optional, flow id of requestToken, defaults to the session of this connection
+       * @returns {string}           Meteor login service token
        */
-      [`${prefix}/getLoginToken`]:function getLoginToken(selector, digest, token){
+      [`${prefix}/getLoginToken`]:function getLoginToken(selector, digest, token, flowId = undefined){
         check(selector, String);
-        check(digest, String);
+        check(digest, Match.Maybe(String));
         check(token, String);
-        let user = findUser(selector, digest);
-        if (instance.verifyToken(this.connection.id, user, token)) {
-          return instance.saveMeteorServiceToken(user);
-        } else {
-          // wrong token
-          throw new Meteor.Error(`invalid token-session pair`);
+        check(flowId, Match.Maybe(String));
+        if (!instance.config.passwordless) {
+          return instance.exchangeToken(this.connection, findUser(selector, digest), token, flowId);
+        }
+        // token is the only credential, failures look the same whether or not user exists
+        let user = Accounts.users.findOne(validateSelector(selector));
+        try {
+          if (!user) {throw tokenLoginError(ErrorCodes.TOKEN_MISMATCH);}
+          return instance.exchangeToken(this.connection, user, token, flowId);
+        } catch (err) {
+          if (err instanceof Meteor.Error) {throw tokenLoginError(ErrorCodes.TOKEN_MISMATCH);}
+          throw err;
         }
       },
 
       /**
        * invalidateSession - allow client-side to cancel a verification session
+       * a flow is only cancelled from the client it is bound to, and by its user when logged in,
+       * who also revokes the login token the flow issued
+       *
+       * @param  {string} flowId = undefined optional, flow id of requestToken, also cancels the session of this connection
+       * @returns {number}           number of sessions removed, nothing in passwordless mode, where it would reveal accounts
+       */
+      [`${prefix}/invalidateSession`]:function invalidateSession(flowId = undefined){
+        check(flowId, Match.Maybe(String));
+        let removed = instance.invalidateSession(this.connection, flowId, this.userId || undefined, !!this.userId);
+        return instance.config.passwordless ? undefined : removed;
+      },
+      /**
+       * logoutEverywhere - log the logged in user out on all devices, this one included
        *
-       * @returns {number}           1 when session is removed, 0 otherwise
+       * @throws {Meteor.Error} when user is not logged in
+       * @returns {number}  1 when user is updated
        */
-      [`${prefix}/invalidateSession`]:function invalidateSession(){
-        return instance.invalidateSession(this.connection.id);
+      [`${prefix}/logoutEverywhere`]:function logoutEverywhere(){
+        let user = findCurrentUser(this.userId);
+        return instance.logoutEverywhere(user);
       },
       /**
-       * verifyContact - return contact details of active user where token would be sent to
+       * verifyContact - return masked contact details of active user where token could be sent to
        *
        * @param {string} selector username or email of user logging in
        * @param {string} digest password hash of user logging in
-       * @throws {Meteor.Error} when user not found
-       * @returns {object}  contact details
+       * @throws {Meteor.Error} when user not found, or in passwordless mode, where it would reveal accounts
+       * @returns {object[]}  factor, masked contact and primary flag of each factor, primary first
        */
       [`${prefix}/verifyContact`]:function verifyContact(selector, digest){
         check(selector, String);
-        check(digest, String);
+        check(digest, Match.Maybe(String));
+        if (instance.config.passwordless) {throw tokenLoginError(ErrorCodes.PASSWORD_REQUIRED);}
         let user = findUser(selector, digest);
         return instance.verifyContact(user);
       },
@@ -227,121 +672,1026 @@ class TokenLogin {
        * useful for checking if need to regenerate token
        *
        * @param {string} selector username or email of user logging in
-       * @param {string} digest password hash of user logging in
-       * @throws {Meteor.Error} when user not found
-       * @returns {boolean }  true if session exist and awaiting token
+       * @param {string} digest password hash of user logging in, null in passwordless mode
+       * @param {string} flowId = undefined optional, flow id of requestToken, defaults to the session of this connection
+       * @throws {Meteor.Error} when user not found, except in passwordless mode
+       * @returns {boolean }  true if session exist and awaiting token, always true in passwordless mode,
+       * where sessions only exist for existing users, the client then goes by the expireAt of requestToken
        */
-      [`${prefix}/assertOpenSession`]:function assertOpenSession(selector, digest){
+      [`${prefix}/assertOpenSession`]:function assertOpenSession(selector, digest, flowId = undefined){
         check(selector, String);
-        check(digest, String);
+        check(digest, Match.Maybe(String));
+        check(flowId, Match.Maybe(String));
+        if (instance.config.passwordless) {return true;}
         let user = findUser(selector, digest);
-        return instance.assertOpenSession(user, this.connection.id);
+        return instance.assertOpenSession(user, this.connection, flowId);
+      },
+      /**
+       * requestConfirmation - request a token for the logged in user to confirm a sensitive action,
+       * see requireRecentVerification
+       *
+       * @param {object} options = {} optional, factor is the name of factor to send token via,
+       * defaults to primary factor of user
+       * @throws {Meteor.Error} when user is not logged in or is locked out, or token could not be sent
+       * @returns {object}  factor and masked contact the token was sent via, expireAt, resendAt and format as requestToken
+       */
+      [`${prefix}/requestConfirmation`]:function requestConfirmation(options = {}){
+        check(options, {factor: Match.Maybe(String)});
+        let user = findCurrentUser(this.userId);
+        instance.assertNotLockedOut(user, this.connection.clientAddress);
+        let factors = instance.selectFactors(user, options.factor);
+        instance.invalidateSession(this.connection);
+        let timing = instance.requestTiming(this.connection, 'requestConfirmation', this.userId);
+        let delivery = instance.requestToken(this.connection, user, factors, {flowId: timing.flowId});
+        return _.extend({format: instance.tokenFormat(delivery.factor)}, delivery, timing);
+      },
+      /**
+       * confirmAction - verify the token of requestConfirmation,
+       * methods calling requireRecentVerification then run until the verification is too old
+       *
+       * @param {string} token token sent to factor
+       * @throws {Meteor.Error} when user is not logged in or is locked out, or token does not verify the session
+       * @returns {boolean}  true when verified
+       */
+      [`${prefix}/confirmAction`]:function confirmAction(token){
+        check(token, String);
+        let user = findCurrentUser(this.userId);
+        instance.assertNotLockedOut(user, this.connection.clientAddress);
+        instance.verifyToken(user, this.connection, token);
+        return true;
+      },
+      /**
+       * enrollTotp - start enrolling an authenticator app for the logged in user
+       *
+       * @throws {Meteor.Error} when user is not logged in
+       * @returns {object}  secret and otpauth uri to show as QR code
+       */
+      [`${prefix}/enrollTotp`]:function enrollTotp(){
+        let user = findCurrentUser(this.userId);
+        instance.assertCanChangeFactors(this, user);
+        return instance.enrollTotp(user);
+      },
+      /**
+       * confirmTotp - finish enrolling an authenticator app with a code it generated
+       *
+       * @param {string} token code shown in authenticator app
+       * @throws {Meteor.Error} when user is not logged in, has not started enrolling or code is wrong
+       * @returns {boolean}  true when authenticator app is enrolled
+       */
+      [`${prefix}/confirmTotp`]:function confirmTotp(token){
+        check(token, String);
+        let user = findCurrentUser(this.userId);
+        return instance.confirmTotp(user, token);
+      },
+      /**
+       * regenerateRecoveryCodes - replace the recovery codes of the logged in user,
+       * who must have verified a token on this connection, as recovery codes log in in place of one
+       *
+       * @throws {Meteor.Error} when user is not logged in or has not recently verified
+       * @returns {string[]}  new recovery codes, these are not retrievable later
+       */
+      [`${prefix}/regenerateRecoveryCodes`]:function regenerateRecoveryCodes(){
+        let user = findCurrentUser(this.userId);
+        instance.requireRecentVerification(this);
+        return instance.generateRecoveryCodes(user);
+      },
+      /**
+       * recoveryCodesRemaining - count the unused recovery codes of the logged in user
+       *
+       * @throws {Meteor.Error} when user is not logged in
+       * @returns {number}  number of unused recovery codes
+       */
+      [`${prefix}/recoveryCodesRemaining`]:function recoveryCodesRemaining(){
+        let user = findCurrentUser(this.userId);
+        return instance.recoveryCodesRemaining(user);
+      },
+      /**
+       * trustDevice - issue a trusted device token for the logged in user,
+       * requestToken skips the second factor when given this token, so user must have verified a token on this connection,
+       * as logging in just before does, or a hijacked login could skip the second factor for good
+       *
+       * @param {string} name = '' label to recognise the device by, i.e. browser name
+       * @throws {Meteor.Error} when user is not logged in or has not recently verified
+       * @returns {string}  trusted device token
+       */
+      [`${prefix}/trustDevice`]:function trustDevice(name = ''){
+        check(name, String);
+        let user = findCurrentUser(this.userId);
+        instance.requireRecentVerification(this);
+        return instance.trustDevice(user, name);
+      },
+      /**
+       * listDevices - list the trusted devices of the logged in user
+       *
+       * @throws {Meteor.Error} when user is not logged in
+       * @returns {object[]}  id, name, createdAt and expireAt of each device
+       */
+      [`${prefix}/listDevices`]:function listDevices(){
+        let user = findCurrentUser(this.userId);
+        return instance.listDevices(user);
+      },
+      /**
+       * revokeDevice - stop trusting a device of the logged in user
+       *
+       * @param {string} deviceId id of device to revoke
+       * @throws {Meteor.Error} when user is not logged in
+       * @returns {number}  1 when device is revoked, 0 otherwise
+       */
+      [`${prefix}/revokeDevice`]:function revokeDevice(deviceId){
+        check(deviceId, String);
+        let user = findCurrentUser(this.userId);
+        return instance.revokeDevice(user, deviceId);
+      },
+      /**
+       * linkFactor - create a link code for the logged in user to link the contact of a factor,
+       * i.e. user sends /start <code> to the Telegram bot
+       *
+       * @param {string} factor name of factor to link
+       * @throws {Meteor.Error} when user is not logged in, has not recently verified, or factor does not link contacts
+       * @returns {object}  code and url to open, url is undefined when factor cannot build one
+       */
+      [`${prefix}/linkFactor`]:function linkFactor(factor){
+        check(factor, String);
+        let user = findCurrentUser(this.userId);
+        instance.assertCanChangeFactors(this, user);
+        instance.assertFactorEnabled(user, factor);
+        return instance.createLinkCode(user, factor);
+      },
+      /**
+       * listFactors - list the factors of the logged in user
+       *
+       * @throws {Meteor.Error} when user is not logged in
+       * @returns {object[]}  factor, masked contact and primary flag of each factor, primary first
+       */
+      [`${prefix}/listFactors`]:function listFactors(){
+        let user = findCurrentUser(this.userId);
+        return instance.verifyContact(user);
+      },
+      /**
+       * enrollFactor - send a token to a new contact of the logged in user, the contact is saved
+       * once confirmFactor verifies the token, replacing the contact of factor if user has one
+       *
+       * @param {string} factor name of factor, i.e. 'email' or 'sms'
+       * @param {string} contact address to send tokens to
+       * @param {boolean} primary = false optional, make it the primary factor of user
+       * @throws {Meteor.Error} when user is not logged in, has not recently verified,
+       * factor cannot send, or token could not be sent
+       * @returns {object}  factor and masked contact the token was sent to
+       */
+      [`${prefix}/enrollFactor`]:function enrollFactor(factor, contact, primary = false){
+        check([factor, contact], [String]);
+        check(primary, Boolean);
+        let user = findCurrentUser(this.userId);
+        instance.assertCanChangeFactors(this, user);
+        return instance.enrollFactor(user, {factor, contact, primary}, this.connection);
+      },
+      /**
+       * confirmFactor - save the contact of enrollFactor with the token sent to it
+       *
+       * @param {string} token token sent to new contact
+       * @throws {Meteor.Error} when user is not logged in, nothing is enrolling, or token does not match
+       * @returns {object[]}  factors of user, as listFactors
+       */
+      [`${prefix}/confirmFactor`]:function confirmFactor(token){
+        check(token, String);
+        let user = findCurrentUser(this.userId);
+        instance.confirmFactor(user, token, this.connection);
+        return instance.verifyContact(findCurrentUser(this.userId));
+      },
+      /**
+       * removeFactor - remove a factor of the logged in user, the next one becomes primary
+       * users that require a second factor cannot remove their last enabled one
+       *
+       * @param {string} factor name of factor
+       * @throws {Meteor.Error} when user is not logged in, has not recently verified, or factor/last-factor
+       * @returns {object[]}  remaining factors of user, as listFactors
+       */
+      [`${prefix}/removeFactor`]:function removeFactor(factor){
+        check(factor, String);
+        let user = findCurrentUser(this.userId);
+        instance.assertCanChangeFactors(this, user);
+        instance.assertCanRemoveFactor(user, factor);
+        instance.removeUserFactor(user, factor, this.connection);
+        return instance.verifyContact(findCurrentUser(this.userId));
+      },
+      /**
+       * setPrimaryFactor - make a registered factor the primary factor of the logged in user
+       *
+       * @param {string} factor name of factor
+       * @throws {Meteor.Error} when user is not logged in, has not recently verified, or factor is not registered
+       * @returns {object[]}  factors of user, as listFactors
+       */
+      [`${prefix}/setPrimaryFactor`]:function setPrimaryFactor(factor){
+        check(factor, String);
+        let user = findCurrentUser(this.userId);
+        instance.assertCanChangeFactors(this, user);
+        let entry = _.findWhere(instance.getUserFactors(user), {factor});
+        if (!entry) {throw tokenLoginError(ErrorCodes.FACTOR_NOT_REGISTERED, {factor});}
+        instance.setUserFactor(user, _.extend({}, entry, {primary: true}));
+        return instance.verifyContact(findCurrentUser(this.userId));
+      },
+      /**
+       * verifyMagicLink - verify a magic link handed over to the browser that requested it
+       *
+       * @param {string} sessionId id of session in link
+       * @param {string} token token in link
+       * @param {string} signature signature of link
+       * @param {string} browserId id of browser opening the link
+       * @throws {Meteor.Error} when link is invalid, opened in another browser, or does not verify the session
+       * @returns {string}  Meteor login service token
+       */
+      [`${prefix}/verifyMagicLink`]:function verifyMagicLink(sessionId, token, signature, browserId){
+        check([sessionId, token, signature, browserId], [String]);
+        return instance.verifyMagicLink(sessionId, token, signature, browserId);
+      },
+      /**
+       * admin/listSessions - list the open and verified sessions of a user, see config.authorizeAdmin
+       *
+       * @param {string} userId id of user
+       * @throws {Meteor.Error} admin/forbidden
+       * @returns {object[]}  sessions, without their secrets
+       */
+      [`${prefix}/admin/listSessions`]:function adminListSessions(userId){
+        check(userId, String);
+        instance.assertAdmin(this, 'listSessions', userId);
+        return instance.listSessions(userId);
+      },
+      /**
+       * admin/invalidateSessions - remove every session of a user, open or verified
+       *
+       * @param {string} userId id of user
+       * @throws {Meteor.Error} admin/forbidden
+       * @returns {number}  number of sessions removed
+       */
+      [`${prefix}/admin/invalidateSessions`]:function adminInvalidateSessions(userId){
+        check(userId, String);
+        instance.assertAdmin(this, 'invalidateSessions', userId);
+        return instance.invalidateUserSessions(userId);
+      },
+      /**
+       * admin/resetFactor - remove a factor of a user, who then enrolls it again,
+       * sessions of user are invalidated and the login tokens they issued revoked
+       *
+       * @param {string} userId id of user
+       * @param {string} factor name of factor
+       * @throws {Meteor.Error} admin/forbidden or user/password-not-found
+       * @returns {number}  1 when user is updated
+       */
+      [`${prefix}/admin/resetFactor`]:function adminResetFactor(userId, factor){
+        check([userId, factor], [String]);
+        instance.assertAdmin(this, 'resetFactor', userId);
+        let removed = instance.removeUserFactor(findUserById(userId), factor, this.connection);
+        instance.invalidateUserSessions(userId);
+        return removed;
+      },
+      /**
+       * admin/disableFactor - stop or resume sending tokens via a factor of a user, keeping its contact,
+       * a disabled factor stays disabled when user removes and enrolls it again
+       *
+       * @param {string} userId id of user
+       * @param {string} factor name of factor
+       * @param {boolean} disabled = true optional, false to enable the factor again
+       * @throws {Meteor.Error} admin/forbidden, user/password-not-found or factor/not-registered
+       * @returns {number}  1 when user is updated
+       */
+      [`${prefix}/admin/disableFactor`]:function adminDisableFactor(userId, factor, disabled = true){
+        check([userId, factor], [String]);
+        check(disabled, Boolean);
+        instance.assertAdmin(this, 'disableFactor', userId);
+        return instance.disableUserFactor(findUserById(userId), factor, disabled);
+      },
+      /**
+       * admin/unlockUser - end the lockout of a user
+       *
+       * @param {string} userId id of user
+       * @throws {Meteor.Error} admin/forbidden
+       * @returns {number}  1 when user is updated
+       */
+      [`${prefix}/admin/unlockUser`]:function adminUnlockUser(userId){
+        check(userId, String);
+        instance.assertAdmin(this, 'unlockUser', userId);
+        return instance.unlockUser(userId);
+      },
+      /**
+       * admin/issueBypass - issue a one-time code a user may log in with instead of a token, i.e. after losing a phone
+       *
+       * @param {string} userId id of user
+       * @throws {Meteor.Error} admin/forbidden or user/password-not-found
+       * @returns {string}  bypass code, to hand to user over a trusted channel
+       */
+      [`${prefix}/admin/issueBypass`]:function adminIssueBypass(userId){
+        check(userId, String);
+        instance.assertAdmin(this, 'issueBypass', userId);
+        return instance.issueBypass(findUserById(userId));
       },
-    });
-
-    // Set DDP rate limits
-    let requestTokenRule = {
-      userId: this.config.validate,
-      type: 'method',
-      name: `${prefix}/requestToken`,
-    };
-    DDPRateLimiter.addRule(requestTokenRule, this.config.requestCount, this.config.requestInterval);
-
-    let getLoginTokenRule = {
-      userId: this.config.validate,
-      type: 'method',
-      name: `${prefix}/getLoginToken`,
-    };
-    DDPRateLimiter.addRule(getLoginTokenRule, this.config.requestCount, this.config.requestInterval);
-
-    let invalidateSessionRule = {
-      userId: this.config.validate,
-      type: 'method',
-      name: `${prefix}/invalidateSession`,
     };
-    DDPRateLimiter.addRule(invalidateSessionRule, this.config.requestCount, this.config.requestInterval);
+    Meteor.methods(methods);
 
-    let verifyContactRule = {
-      userId: this.config.validate,
-      type: 'method',
-      name: `${prefix}/verifyContact`,
-    };
-    DDPRateLimiter.addRule(verifyContactRule, this.config.requestCount, this.config.requestInterval);
+    // Set DDP rate limits, admins work through many users in a row, and have their own
+    _.each(_.keys(methods), (name)=>{
+      let rule = {
+        userId: this.config.validate,
+        type: 'method',
+        name,
+      };
+      if (name.indexOf(`${prefix}/admin/`) === 0) {
+        DDPRateLimiter.addRule(rule, this.config.adminRequestCount, this.config.adminRequestInterval);
+      } else {
+        DDPRateLimiter.addRule(rule, this.config.requestCount, this.config.requestInterval);
+      }
+    });
 
-    let assertOpenSessionRule = {
-      userId: this.config.validate,
-      type: 'method',
-      name: `${prefix}/assertOpenSession`,
-    };
-    DDPRateLimiter.addRule(assertOpenSessionRule, this.config.requestCount, this.config.requestInterval);
+  }
 
+  /**
+   * defineRoutes - defines the route magic links open, i.e. /tokenlogin/<identifier>/link
+   * GET only serves a page with a button, which POSTs the link back, see magicLinkPage,
+   * the POST redirects to the redirect page of app, with a fragment the client completes login with,
+   * see client handleMagicLink
+   * unless sameBrowser is set the POST verifies the link itself and the fragment holds the login token,
+   * otherwise the link is handed over for the requesting browser to verify
+   */
+  defineRoutes(){
+    let prefix = `TokenLogin:${this.identifier}`;
+    let { redirect, sameBrowser } = this.config.magicLink;
+    let path = this.config.magicLink.path || `/tokenlogin/${this.identifier}/link`;
+    this.config.magicLink.path = path;
+    let headers = {'Cache-Control': 'no-store', 'Referrer-Policy': 'no-referrer'};
+    WebApp.connectHandlers.use(path, Meteor.bindEnvironment((req, res)=>{
+      if (req.method === 'GET') {
+        res.writeHead(200, _.extend({'Content-Type': 'text/html; charset=utf-8'}, headers));
+        res.end(magicLinkPage(url.parse(req.url, true).query));
+        return;
+      }
+      if (req.method !== 'POST') {
+        res.writeHead(405, {Allow: 'GET, POST'});
+        res.end();
+        return;
+      }
+      readForm(req, 4096, Meteor.bindEnvironment((formErr, form)=>{
+        if (formErr) {
+          res.writeHead(413);
+          res.end();
+          return;
+        }
+        let { s, t, sig } = form;
+        let fragment;
+        if (sameBrowser) {
+          fragment = `${prefix}/link=${encodeURIComponent(JSON.stringify([s, t, sig]))}`;
+        } else {
+          try {
+            fragment = `${prefix}/login=${encodeURIComponent(this.verifyMagicLink(s, t, sig))}`;
+          } catch (err) {
+            fragment = `${prefix}/error=${encodeURIComponent(err.error)}`;
+          }
+        }
+        res.writeHead(303, _.extend({Location: `${redirect}#${fragment}`}, headers));
+        res.end();
+      }));
+    }));
   }
 
   /**
-   * assertOpenSession - check if there is a session of id awaiting token
-   * useful for checking if need to regenerate token
-   *
-   * @param {object} user Meteor.user()
-   * @param {string} connectionId id of session to check
-   * @returns {boolean }  true if session exist and awaiting token
+   * definePublications - defines the admin publication of the sessions of a user,
+   * published to the client-side collection named TokenLogin:<identifier>/adminSessions
    */
-  assertOpenSession(user, connectionId){
-    let session = this.collection.findOne({connectionId: connectionId, userId: user._id});
-    if (!session) {return false;}
-    if (!!session.verifyAt) {return false;}  // session is closed
-    if ((new Date() - new Date(session.expireAt)) > 0) {return false;}
-    return true;
+  definePublications(){
+    let prefix = `TokenLogin:${this.identifier}`;
+    let collectionName = `${prefix}/adminSessions`;
+    let instance = this;
+    Meteor.publish(`${prefix}/admin/sessions`, function adminSessions(userId){
+      check(userId, String);
+      instance.assertAdmin(this, 'sessions', userId);
+      let handle = instance.collection.find({userId}, {fields: sessionSecretFields}).observeChanges({
+        added: (id, fields)=>this.added(collectionName, id, fields),
+        changed: (id, fields)=>this.changed(collectionName, id, fields),
+        removed: (id)=>this.removed(collectionName, id),
+      });
+      this.ready();
+      this.onStop(()=>handle.stop());
+    });
   }
 
   /**
-   * sendToken - sends token via the factor user-defined
-   * as the user-defined send function may be asynchronous, so is this
+   * assertAdmin - checks config.authorizeAdmin lets the user of a method or publication do an admin action,
+   * authorized actions are recorded as admin/action audit events
    *
-   * @param  {string} contact address to send token to
-   * @param  {string} token   token used for verification
-   * @param  {string} factor  name of factor to sent token via
-   * @param {function} callback function to pass to async send method
+   * @param  {object} invocation this of the method or publication
+   * @param  {string} action     name of action
+   * @param  {string} userId     id of user acted on
+   * @throws {Meteor.Error} admin/forbidden
    */
-  sendToken(contact, token, factor, callback){
-    let method = this.config.factors[factor];
-    if (!method) {
-      console.error(`error, ${factor} not supported`);
-      console.log(`printing token on console, ${token}`);
+  assertAdmin(invocation, action, userId){
+    let authorize = this.config.authorizeAdmin;
+    if (!invocation.userId || !authorize || !authorize(invocation.userId, action, userId)) {
+      throw tokenLoginError(ErrorCodes.ADMIN_FORBIDDEN, {action});
     }
-
-    // timeout condition in case user-defined function does not call callback
-    let timeout = get(method, 'settings.timeout') || this.config.timeout;
-    Meteor.setTimeout(()=>{
-      callback(new Meteor.Error(`sending token to ${contact} via ${factor} timed out`), undefined);
-    }, timeout);
-
-    method.send(contact, token, factor, method.settings, (err, res)=>{
-      if (err) {
-        if (err instanceof Meteor.Error) {callback(err);}
-        else {callback(new Meteor.Error(err));}
-      }
-      else {callback(undefined, res);}
-    });
+    this.emit(AuditEvents.ADMIN_ACTION, _.extend({adminId: invocation.userId, action, userId}, connectionInfo(invocation.connection)));
   }
 
   /**
-   * invalidateSession - invalidates a confirmation session that is still open
+   * listSessions - list the open and verified sessions of a user, newest first
    *
-   * @param  {string} connectionId id of session to invalidate
-   * @returns {number}           1 if session is successfully invalidated
+   * @param  {string} userId id of user
+   * @returns {object[]}      sessions, without their secrets
    */
-  invalidateSession(connectionId){
-    return this.collection.remove({connectionId: connectionId, verifyAt: {$exists: false}});
+  listSessions(userId){
+    check(userId, String);
+    return this.collection.find({userId}, {fields: sessionSecretFields, sort: {createdAt: -1}}).fetch();
   }
 
   /**
-   * verifyContact - return contact details of active user where token would be sent to
+   * invalidateUserSessions - remove every session of a user, verified ones too,
+   * so recent verifications no longer count, see requireRecentVerification,
+   * and revoke the login tokens they issued
+   *
+   * @param  {string} userId id of user
+   * @returns {number}        number of sessions removed
+   */
+  invalidateUserSessions(userId){
+    check(userId, String);
+    let sessions = this.collection.find({userId}).fetch();
+    let removed = this.collection.remove({userId});
+    this.revokeLoginTokens(sessions);
+    _.each(sessions, session=>this.emit(AuditEvents.INVALIDATED, this.sessionInfo(session)));
+    return removed;
+  }
+
+  /**
+   * disableUserFactor - stop or resume sending tokens via a factor of user, the contact is kept
+   *
+   * @param {object} user Meteor.user
+   * @param {string} factor name of factor
+   * @param {boolean} disabled = true optional, false to enable the factor again
+   * @throws {Meteor.Error} factor/not-registered
+   * @returns {number}  1 when user is updated
+   */
+  disableUserFactor(user, factor, disabled = true){
+    let factors = this.getUserFactors(user);
+    let path = `services.${this.config.profile}.disabledFactors`;
+    // a factor user removed since it was disabled can still be enabled again
+    if (!_.findWhere(factors, {factor}) && (disabled || !_.contains(get(user, path), factor))) {
+      throw tokenLoginError(ErrorCodes.FACTOR_NOT_REGISTERED, {factor});
+    }
+    Meteor.users.update(user._id, disabled ? {$addToSet: {[path]: factor}} : {$pull: {[path]: factor}});
+    return this.saveUserFactors(user, factors.map(entry=>{
+      return entry.factor === factor ? _.extend({}, entry, {disabled}) : entry;
+    }));
+  }
+
+  /**
+   * unlockUser - end the lockout of user and forget their failed sessions
+   *
+   * @param  {string} userId id of user
+   * @returns {number}        1 when user is updated
+   */
+  unlockUser(userId){
+    check(userId, String);
+    return Meteor.users.update(userId, {$unset: {
+      [`services.${this.config.profile}.lockout`]: true,
+      [`services.${this.config.profile}.lockouts`]: true,
+    }});
+  }
+
+  /**
+   * issueBypass - issue a one-time code user may log in with instead of a token, replacing an earlier one,
+   * also ends the lockout of user
+   *
+   * @param  {object} user Meteor.user()
+   * @returns {string}      bypass code, only its hash is kept
+   */
+  issueBypass(user){
+    let code = Random.id(16);
+    Meteor.users.update(user._id, {
+      $set: {[`services.${this.config.profile}.bypass`]: {
+        hash: hashRecoveryCode(this.codeSecret, code),
+        expireAt: new Date((new Date()).getTime() + this.config.bypassExpiry),
+      }},
+      $unset: {
+        [`services.${this.config.profile}.lockout`]: true,
+        [`services.${this.config.profile}.lockouts`]: true,
+      },
+    });
+    return code;
+  }
+
+  /**
+   * codeHashes - hashes a recovery or bypass code may be stored as, keyed by the configured secret,
+   * and unkeyed, as codes issued before a secret was configured are
+   *
+   * @param  {string} code code typed by user
+   * @returns {string[]}    hashes to look the code up by
+   */
+  codeHashes(code){
+    return _.uniq([hashRecoveryCode(this.codeSecret, code), hashRecoveryCode(undefined, code)]);
+  }
+
+  /**
+   * useBypassCode - burns the bypass code of user if code matches and has not expired
+   *
+   * @param  {object} user Meteor.user()
+   * @param  {string} code code typed by user
+   * @returns {boolean}     true when code was valid
+   */
+  useBypassCode(user, code){
+    let path = `services.${this.config.profile}.bypass`;
+    let bypass = get(user, path);
+    if (!bypass || bypass.expireAt < new Date()) {return false;}
+    let hash = _.find(this.codeHashes(code), candidate=>safeEqual(candidate, bypass.hash));
+    if (!hash) {return false;}
+    // unset with hash in selector so the code is only used once
+    return !!Meteor.users.update({_id: user._id, [`${path}.hash`]: hash}, {$unset: {[path]: true}});
+  }
+
+  /**
+   * on - register a handler for an authentication step, see AuditEvents
+   * handlers are called with the audit entry, errors thrown by handlers are logged and ignored
+   *
+   * @param  {string} event   one of AuditEvents
+   * @param  {function} handler function to call with audit entry
+   * @returns {object}         handle with stop function to remove handler
+   */
+  on(event, handler){
+    check(event, Match.OneOf(..._.values(AuditEvents)));
+    check(handler, Function);
+    this.handlers[event] = (this.handlers[event] || []).concat(handler);
+    return {
+      stop: ()=>{this.handlers[event] = _.without(this.handlers[event], handler);},
+    };
+  }
+
+  /**
+   * emit - record an authentication step in audit log and call its handlers
+   *
+   * @param  {string} event   one of AuditEvents
+   * @param  {object} details userId, connectionId, clientAddress, userAgent, factor and other details of step
+   */
+  emit(event, details){
+    let entry = _.extend({event, timestamp: new Date()}, details);
+    if (this.auditCollection) {this.auditCollection.insert(entry);}
+    _.each(this.handlers[event], (handler)=>{
+      try {
+        handler(_.clone(entry));
+      } catch (err) {
+        console.error(`TokenLogin ${event} handler failed`, err);
+      }
+    });
+  }
+
+  /**
+   * sessionInfo - details of a session recorded with audit entries, never includes the token
+   *
+   * @param  {object} session session document
+   * @returns {object}         userId, connectionId, clientAddress, userAgent and factor of session
+   */
+  sessionInfo(session){
+    return _.pick(session, 'userId', 'connectionId', 'clientAddress', 'userAgent', 'factor');
+  }
+
+  /**
+   * assertOpenSession - check if there is a session of id awaiting token
+   * useful for checking if need to regenerate token
+   *
+   * @param {object} user Meteor.user()
+   * @param {object} connection this.connection of method
+   * @param {string} flowId = undefined optional, flow id of session, defaults to the session of connection
+   * @returns {boolean }  true if session exist and awaiting token
+   */
+  assertOpenSession(user, connection, flowId = undefined){
+    let session = this.findSession(user, connection, flowId);
+    if (!session) {return false;}
+    if (!!session.verifyAt) {return false;}  // session is closed
+    if ((new Date() - new Date(session.expireAt)) > 0) {return false;}
+    return true;
+  }
+
+  /**
+   * sendToken - sends token via the factor user-defined, retrying failed attempts with backoff
+   * as the user-defined send function may be asynchronous, so is this
+   * errors with details.retryable false are not retried
+   *
+   * @param  {string} contact address to send token to
+   * @param  {string} token   token used for verification
+   * @param  {string} factor  name of factor to sent token via
+   * @param  {object} values  added to the settings send receives, i.e. message and magic link, see messageFor
+   * @param {function} callback function to call once, with error of last attempt or result of send
+   */
+  sendToken(contact, token, factor, values, callback){
+    let method = this.config.factors[factor];
+    if (!get(method, 'send')) {
+      callback(tokenLoginError(ErrorCodes.FACTOR_UNSUPPORTED, {factor}));
+      return;
+    }
+    let retries = get(method, 'settings.retries');
+    let delay = get(method, 'settings.retryDelay');
+    let attempt = (remaining, wait)=>{
+      this.sendTokenOnce(contact, token, factor, values, (err, res)=>{
+        if (err && remaining > 0 && get(err, 'details.retryable') !== false) {
+          Meteor.setTimeout(()=>attempt(remaining - 1, wait * 2), wait);
+          return;
+        }
+        callback(err, res);
+      });
+    };
+    attempt(_.isNumber(retries) ? retries : this.config.retries, _.isNumber(delay) ? delay : this.config.retryDelay);
+  }
+
+  /**
+   * sendTokenOnce - makes one attempt to send token via the factor user-defined
+   * callback is called exactly once, whether send calls back, throws or times out
+   * send function receives the factor settings, with expiry of token and values added,
+   * i.e. the rendered message of messageFor, it either calls back or returns a Promise
+   *
+   * @param  {string} contact address to send token to
+   * @param  {string} token   token used for verification
+   * @param  {string} factor  name of factor to sent token via
+   * @param  {object} values  added to the settings send receives, i.e. message and magic link, see messageFor
+   * @param {function} callback function to call with error or result of send
+   */
+  sendTokenOnce(contact, token, factor, values, callback){
+    let method = this.config.factors[factor];
+    let done = false;
+    let timer;
+    // send may call back outside of a fiber
+    let finish = Meteor.bindEnvironment((err, res)=>{
+      if (done) {return;}
+      done = true;
+      Meteor.clearTimeout(timer);
+      if (!err) {callback(undefined, res);}
+      else if (err instanceof Meteor.Error) {callback(err);}
+      else {callback(tokenLoginError(ErrorCodes.FACTOR_SEND_FAILED, {factor}, err.message || String(err)));}
+    });
+
+    // timeout condition in case user-defined function does not call callback
+    let timeout = get(method, 'settings.timeout') || this.config.timeout;
+    timer = Meteor.setTimeout(()=>{
+      finish(tokenLoginError(ErrorCodes.FACTOR_SEND_TIMEOUT, {factor}));
+    }, timeout);
+
+    let settings = _.extend({expiry: this.config.expiry}, method.settings, values);
+    try {
+      let result = method.send(contact, token, factor, settings, finish);
+      if (result && _.isFunction(result.then)) {
+        result.then(res=>finish(undefined, res), err=>finish(err || new Error(`send rejected`)));
+      }
+    } catch (err) {
+      finish(err);
+    }
+  }
+
+  /**
+   * invalidateSession - invalidates the sessions still open on a connection, and those of a flow,
+   * which are only found from the client the flow is bound to, as findSession finds them
+   *
+   * @param  {object} connection this.connection of method
+   * @param  {string} flowId = undefined optional, flow id of another session to invalidate
+   * @param  {string} userId = undefined optional, id of user the flow must belong to
+   * @param  {boolean} revoke = false optional, also invalidate the verified sessions of the flow of userId,
+   * revoking the login tokens they issued
+   * @returns {number}           number of sessions invalidated
+   */
+  invalidateSession(connection, flowId = undefined, userId = undefined, revoke = false){
+    let open = {verifyAt: {$exists: false}};
+    let sessions = this.collection.find(_.extend({connectionId: connection.id}, open)).fetch();
+    if (flowId) {
+      let flow = this.collection.find(_.extend({flowId}, userId ? {userId} : {}, revoke && userId ? {} : open)).fetch();
+      sessions = _.uniq(sessions.concat(_.filter(flow, session=>this.boundTo(session, connection))), false, session=>session._id);
+    }
+    let selector = {_id: {$in: _.pluck(sessions, '_id')}};
+    let removed = this.collection.remove(revoke && userId ? _.extend({userId}, selector) : _.extend(selector, open));
+    this.revokeLoginTokens(sessions);
+    _.each(sessions, session=>this.emit(AuditEvents.INVALIDATED, this.sessionInfo(session)));
+    return removed;
+  }
+
+  /**
+   * verifyContact - return masked contact details of active user where token could be sent to
    *
    * @param {object} user Meteor.user
-   * @returns {object}  contact details
+   * @returns {object[]}  factor, masked contact and primary flag of each factor, primary first
    */
   verifyContact(user){
-    return get(user, `profile.${this.config.profile}`);
+    return this.getUserFactors(user).map(({factor, contact, primary, disabled})=>{
+      return {factor, contact: maskContact(contact), primary, disabled: !!disabled};
+    });
+  }
+
+  /**
+   * getUserFactors - list factors registered by user, primary factor first
+   * factors are kept in services.<profile>.factors, which clients cannot write,
+   * with legacyProfile, users without them fall back to profile.<profile>, see legacyFactors
+   *
+   * @param {object} user Meteor.user
+   * @returns {object[]}  factor, contact and primary flag of each factor
+   */
+  getUserFactors(user){
+    let factors = get(user, `services.${this.config.profile}.factors`);
+    if (!factors && this.config.legacyProfile) {
+      factors = legacyFactors(get(user, `profile.${this.config.profile}`));
+    }
+    factors = factors || [];
+    check(factors, [factorPattern]);
+    return _.sortBy(factors, entry=>entry.primary ? 0 : 1);
+  }
+
+  /**
+   * migrateLegacyFactors - move factors kept in profile.<profile> by earlier versions to services.<profile>.factors,
+   * runs at startup unless migrateProfile is false, users that already have factors in services keep them,
+   * as their profile may have been written by the user since, factors that are not valid stay in the profile
+   *
+   * @returns {number}  number of users whose factors are moved
+   */
+  migrateLegacyFactors(){
+    let legacy = `profile.${this.config.profile}`;
+    let path = `services.${this.config.profile}.factors`;
+    let migrated = 0;
+    Meteor.users.find({[legacy]: {$exists: true}}, {fields: {[legacy]: 1, [path]: 1}}).forEach(user=>{
+      let factors = legacyFactors(get(user, legacy));
+      let moved = !get(user, path) && factors && Match.test(factors, [factorPattern]) &&
+        Meteor.users.update({_id: user._id, [path]: {$exists: false}}, {$set: {[path]: factors}});
+      // factors that cannot be moved stay in the profile, unless user already has factors in services
+      if (moved || get(user, path)) {
+        Meteor.users.update(user._id, {$unset: {[legacy]: true}});
+      }
+      migrated += moved ? 1 : 0;
+    });
+    return migrated;
+  }
+
+  /**
+   * setUserFactor - add or replace a factor of user, a factor is keyed by its name
+   * the first factor registered, or one flagged as primary, becomes the primary factor
+   *
+   * @param {object} user Meteor.user
+   * @param {object} entry factor, contact and optional primary flag
+   * @returns {number}  1 when user is updated
+   */
+  setUserFactor(user, entry){
+    check(entry, factorPattern);
+    let factors = _.reject(this.getUserFactors(user), existing=>existing.factor === entry.factor);
+    let primary = !!entry.primary || !_.findWhere(factors, {primary: true});
+    if (primary) {
+      factors = factors.map(existing=>_.extend({}, existing, {primary: false}));
+    }
+    let disabled = !!entry.disabled || _.contains(get(user, `services.${this.config.profile}.disabledFactors`), entry.factor);
+    factors.push(_.extend({}, entry, {primary}, disabled ? {disabled} : {}));
+    return this.saveUserFactors(user, factors);
+  }
+
+  /**
+   * removeUserFactor - remove a factor of user, the next one becomes primary if it was,
+   * removing the authenticator app also removes its secret
+   *
+   * @param {object} user Meteor.user
+   * @param {string} factor name of factor
+   * @param {object} connection = undefined optional, this.connection of method, for the audit log
+   * @returns {number}  1 when user is updated
+   */
+  removeUserFactor(user, factor, connection = undefined){
+    check(factor, String);
+    let factors = _.reject(this.getUserFactors(user), existing=>existing.factor === factor);
+    if (factors.length && !_.findWhere(factors, {primary: true})) {
+      factors[0] = _.extend({}, factors[0], {primary: true});
+    }
+    if (factor === 'totp') {
+      Meteor.users.update(user._id, {$unset: {[`services.${this.config.profile}.totp`]: true}});
+    }
+    this.emit(AuditEvents.FACTOR_REMOVED, _.extend({userId: user._id, factor}, connectionInfo(connection)));
+    return this.saveUserFactors(user, factors);
+  }
+
+  /**
+   * saveUserFactors - replace the factors of user, moving them out of the profile when read from there
+   *
+   * @param {object} user Meteor.user
+   * @param {object[]} factors factor, contact and primary flag of each factor
+   * @returns {number}  1 when user is updated
+   */
+  saveUserFactors(user, factors){
+    let modifier = {$set: {[`services.${this.config.profile}.factors`]: factors}};
+    if (this.config.legacyProfile) {modifier.$unset = {[`profile.${this.config.profile}`]: true};}
+    return Meteor.users.update(user._id, modifier);
+  }
+
+  /**
+   * assertCanChangeFactors - users with factors must have recently verified one before changing them,
+   * so a hijacked login cannot redirect tokens, users without factors may add their first
+   *
+   * @param  {object} invocation this of the method
+   * @param  {object} user       Meteor.user()
+   * @throws {Meteor.Error} user/verification-required, see requireRecentVerification
+   */
+  assertCanChangeFactors(invocation, user){
+    if (this.getUserFactors(user).length) {this.requireRecentVerification(invocation);}
+  }
+
+  /**
+   * assertCanRemoveFactor - users that require a second factor must keep an enabled one,
+   * or they could not log in anymore
+   *
+   * @param  {object} user   Meteor.user()
+   * @param  {string} factor name of factor to remove
+   * @throws {Meteor.Error} factor/last-factor when factor is the last enabled one of such a user
+   */
+  assertCanRemoveFactor(user, factor){
+    let remaining = _.reject(this.getUserFactors(user), entry=>entry.factor === factor || entry.disabled);
+    if (!remaining.length && this.requiresSecondFactor(user)) {
+      throw tokenLoginError(ErrorCodes.FACTOR_LAST, {factor});
+    }
+  }
+
+  /**
+   * assertFactorEnabled - factors disabled by an admin cannot be enrolled again by user, see disableUserFactor
+   *
+   * @param  {object} user   Meteor.user()
+   * @param  {string} factor name of factor
+   * @throws {Meteor.Error} factor/disabled
+   */
+  assertFactorEnabled(user, factor){
+    if (_.contains(get(user, `services.${this.config.profile}.disabledFactors`), factor)) {
+      throw tokenLoginError(ErrorCodes.FACTOR_DISABLED, {factor});
+    }
+  }
+
+  /**
+   * enrollFactor - send a token to a new contact of user, kept pending until confirmFactor verifies it
+   * enrolling again replaces the pending contact
+   *
+   * @param {object} user Meteor.user
+   * @param {object} entry factor, contact and primary flag
+   * @param {object} connection = undefined optional, this.connection of method, for the {{ip}} of the message
+   * @throws {Meteor.Error} factor/disabled, factor/unsupported when factor cannot send, or factor/send-failed
+   * @returns {object}  factor and masked contact the token was sent to, and format of the token
+   */
+  enrollFactor(user, entry, connection = undefined){
+    let {factor, contact} = entry;
+    this.assertFactorEnabled(user, factor);
+    if (!get(this.config.factors[factor], 'send')) {
+      throw tokenLoginError(ErrorCodes.FACTOR_UNSUPPORTED, {factor});
+    }
+    let token = this.generateToken();
+    let salt = Random.secret(16);
+    Meteor.users.update(user._id, {$set: {[`services.${this.config.profile}.pendingFactor`]: {
+      factor,
+      contact,
+      primary: !!entry.primary,
+      salt,
+      tokenHash: hashToken(this.config.hashSecret, salt, this.normalizeToken(token)),
+      attempts: 0,
+      expireAt: new Date((new Date()).getTime() + this.config.expiry),
+    }}});
+    Meteor.wrapAsync(this.sendToken, this)(contact, token, factor, this.messageFor(user, connection, factor, token));
+    return {factor, contact: maskContact(contact), format: this.tokenFormat()};
+  }
+
+  /**
+   * confirmFactor - saves the pending contact of user when token matches the one sent to it,
+   * the pending contact is dropped after maxAttempts wrong tokens
+   *
+   * @param {object} user Meteor.user
+   * @param {string} token token sent to pending contact
+   * @param {object} connection = undefined optional, this.connection of method, for the audit log
+   * @throws {Meteor.Error} session/not-found, token/expired or token/mismatch
+   * @returns {boolean}  true when factor is saved
+   */
+  confirmFactor(user, token, connection = undefined){
+    let path = `services.${this.config.profile}.pendingFactor`;
+    let pending = get(user, path);
+    if (!pending) {throw tokenLoginError(ErrorCodes.SESSION_NOT_FOUND);}
+    if ((new Date() - new Date(pending.expireAt)) > 0) {
+      Meteor.users.update(user._id, {$unset: {[path]: true}});
+      throw tokenLoginError(ErrorCodes.TOKEN_EXPIRED);
+    }
+    if (!safeEqual(hashToken(this.config.hashSecret, pending.salt, this.normalizeToken(token)), pending.tokenHash)) {
+      let modifier = pending.attempts + 1 < this.config.maxAttempts ?
+        {$inc: {[`${path}.attempts`]: 1}} : {$unset: {[path]: true}};
+      Meteor.users.update(user._id, modifier);
+      throw tokenLoginError(ErrorCodes.TOKEN_MISMATCH);
+    }
+    // unset with token in selector so a token is only used once
+    if (!Meteor.users.update({_id: user._id, [`${path}.tokenHash`]: pending.tokenHash}, {$unset: {[path]: true}})) {
+      throw tokenLoginError(ErrorCodes.SESSION_NOT_FOUND);
+    }
+    this.setUserFactor(user, _.pick(pending, 'factor', 'contact', 'primary'));
+    this.emit(AuditEvents.FACTOR_ADDED, _.extend({userId: user._id, factor: pending.factor}, connectionInfo(connection)));
+    return true;
+  }
+
+  /**
+   * selectFactors - factors to send token via, the requested factor first, then the others of user for failover
+   *
+   * @param  {object} user Meteor.user()
+   * @param  {string} name = undefined optional, name of requested factor, defaults to primary factor of user
+   * @throws {Meteor.Error} factor/not-registered or factor/unsupported
+   * @returns {object[]}    factor and contact of each factor to try in order
+   */
+  selectFactors(user, name = undefined){
+    // factors disabled by an admin are skipped
+    let factors = _.reject(this.getUserFactors(user), entry=>entry.disabled);
+    let notify = name ? _.findWhere(factors, {factor: name}) : _.first(factors);
+    if (!notify){
+      throw tokenLoginError(ErrorCodes.FACTOR_NOT_REGISTERED, {factor: name});
+    }
+    if (!this.config.factors[notify.factor]){
+      throw tokenLoginError(ErrorCodes.FACTOR_UNSUPPORTED, {factor: notify.factor});
+    }
+    let failover = this.config.failover ? _.without(factors, notify) : [];
+    return [notify].concat(failover);
+  }
+
+  /**
+   * requestTiming - when a token requested now expires, and the earliest another may be requested
+   * under the rate limits of the method, as DDPRateLimiter counts them, with a new flow id for its session
+   *
+   * @param  {object} connection = undefined optional, this.connection of method, without one a full requestInterval
+   * @param  {string} method = 'requestToken' optional, name of method requesting, without the instance prefix
+   * @param  {string} userId = null optional, this.userId of method
+   * @returns {object}  expireAt and resendAt dates, and flowId
+   */
+  requestTiming(connection = undefined, method = 'requestToken', userId = null){
+    let now = (new Date()).getTime();
+    // the call being answered is already counted by the time the method runs
+    let limit = connection ? DDPRateLimiter._check({
+      userId,
+      clientAddress: connection.clientAddress,
+      type: 'method',
+      name: `TokenLogin:${this.identifier}/${method}`,
+      connectionId: connection.id,
+    }) : {numInvocationsLeft: 0, timeToReset: this.config.requestInterval};
+    return {
+      expireAt: new Date(now + this.config.expiry),
+      resendAt: new Date(now + (limit.numInvocationsLeft > 0 ? 0 : limit.timeToReset)),
+      flowId: Random.secret(),
+    };
+  }
+
+  /**
+   * requestTokenPasswordless - request a token by username or email only,
+   * replies the same whether or not user exists, can be sent to, or is locked out,
+   * the token is sent in background so timing does not tell either
+   *
+   * @param  {object} connection this.connection of method
+   * @param  {string} selector   username or email of user logging in
+   * @param  {object} options    factor, deviceToken, browserId and flowId, see requestToken method
+   * @param  {string} userId = null optional, this.userId of method, for the rate limit, see requestTiming
+   * @returns {object}            trusted and loginToken, or expireAt, resendAt and flowId, as requestToken method
+   */
+  requestTokenPasswordless(connection, selector, options, userId = null){
+    let user = Accounts.users.findOne(validateSelector(selector));
+    // timing depends on the caller only, not on whether user exists
+    let timing = this.requestTiming(connection, 'requestToken', userId);
+    let factors;
+    try {
+      if (user) {
+        this.assertNotLockedOut(user, connection.clientAddress);
+        if (options.deviceToken && this.verifyDeviceToken(user, options.deviceToken)) {
+          return {trusted: true, loginToken: this.saveMeteorServiceToken(user, this.recordLogin(connection, user, 'device'))};
+        }
+        factors = this.selectFactors(user, options.factor);
+      }
+    } catch (err) {
+      if (!(err instanceof Meteor.Error)) {throw err;}
+    }
+    if (factors) {
+      // sent after the reply, so neither failures nor the time sending takes show whether user exists,
+      // failures are recorded by audit events
+      Meteor.defer(()=>{
+        this.invalidateSession(connection, options.flowId, user._id);
+        this.requestTokenAsync(connection, user, factors, {browserId: options.browserId, flowId: timing.flowId}, ()=>{});
+      });
+    }
+    // format of the generator, as the factor the token goes out on must not show either
+    return _.extend({trusted: false, format: this.tokenFormat()}, timing);
+  }
+
+  /**
+   * exchangeToken - exchange a token, or a recovery code, of user for a Meteor login service token
+   * wrong codes count towards the lockout of user, as wrong tokens do
+   *
+   * @param  {object} connection this.connection of method
+   * @param  {object} user       Meteor.user()
+   * @param  {string} token      token sent to factor, or one of the recovery codes of user
+   * @param  {string} flowId = undefined optional, flow id of session, defaults to the session of connection
+   * @throws {Meteor.Error} when user is locked out or token does not verify the session
+   * @returns {string}            Meteor login service token
+   */
+  exchangeToken(connection, user, token, flowId = undefined){
+    this.assertNotLockedOut(user, connection.clientAddress);
+    let code = (this.useRecoveryCode(user, token) && 'recovery') || (this.useBypassCode(user, token) && 'bypass');
+    if (code) {
+      this.emit(AuditEvents.VERIFIED, _.extend({userId: user._id, factor: code}, connectionInfo(connection)));
+      this.invalidateSession(connection, flowId, user._id);
+      return this.saveMeteorServiceToken(user, this.recordLogin(connection, user, code, flowId));
+    }
+    let sessionId;
+    try {
+      sessionId = this.verifyToken(user, connection, token, flowId);
+    } catch (err) {
+      // without an open session nothing else counts guesses of recovery and bypass codes
+      if (err.error === ErrorCodes.SESSION_NOT_FOUND) {this.recordFailedSession(user, connection.clientAddress);}
+      throw err;
+    }
+    return this.saveMeteorServiceToken(user, sessionId);
   }
 
   /**
@@ -355,20 +1705,55 @@ class TokenLogin {
 
   /**
    * requestTokenAsync - request a token to login user, is asynchronous
+   * the token is sent via the first factor, falling over to the next factor that sends when sending fails
    *
-   * @param {string} connectionId id used for subsequent queries
-   * @param  {string} contact essential contact address, i.e. phone number or email address
-   * @param  {string} factor  name of factor, i.e. 'telegram', 'SMS' or 'email'
-   * @param {function} callback function to pass to async send method
+   * @param {object} connection this.connection of method, its id is used for subsequent queries
+   * @param  {object} user Meteor.user()
+   * @param  {object[]} factors factor, i.e. 'telegram', 'SMS' or 'email', and contact address to try in order
+   * @param  {object} options browserId of requesting browser and flowId, kept with session
+   * @param {function} callback = undefined optional function to call with error or factor and masked contact
+   * @returns {Promise}  factor and masked contact, when callback is not given
    */
-  requestTokenAsync(connectionId, user, contact, factor, callback){
+  requestTokenAsync(connection, user, factors, options, callback = undefined){
+    if (!callback) {
+      return new Promise((resolve, reject)=>{
+        this.requestTokenAsync(connection, user, factors, options, (err, res)=>{
+          if (err) {reject(err);}
+          else {resolve(res);}
+        });
+      });
+    }
+    let [requested] = factors;
+    let info = _.extend({userId: user._id}, connectionInfo(connection));
+    if (!this.config.factors[requested.factor].send) {
+      // factor verifies codes it generates itself, i.e. authenticator apps, nothing to send
+      this.createSession(connection, user, undefined, requested.factor, options);
+      this.emit(AuditEvents.REQUESTED, _.extend({factor: requested.factor}, info));
+      callback(undefined, {factor: requested.factor});
+      return;
+    }
     let token = this.generateToken();
-    this.createSession(connectionId, user, token, factor);
+    let sessionId = this.createSession(connection, user, token, requested.factor, options);
+    this.emit(AuditEvents.REQUESTED, _.extend({factor: requested.factor}, info));
+    let link = this.config.magicLink ? this.createMagicLink(sessionId, token) : undefined;
 
-    this.sendToken(contact, token, factor, (err/*, res*/)=>{
-      if (err) {callback(err);}
-      else {callback(undefined, true);}
-    });
+    let candidates = factors.filter(({factor})=>get(this.config.factors[factor], 'send'));
+    let deliver = (index)=>{
+      let { factor, contact } = candidates[index];
+      let attemptInfo = _.extend({factor}, info);
+      this.sendToken(contact, token, factor, this.messageFor(user, connection, factor, token, link), (err/*, res*/)=>{
+        if (!err) {
+          this.collection.update(sessionId, {$set: {factor}});
+          this.emit(AuditEvents.SENT, attemptInfo);
+          callback(undefined, {factor, contact: maskContact(contact)});
+          return;
+        }
+        this.emit(AuditEvents.SEND_FAILED, _.extend({reason: err.error}, attemptInfo));
+        if (index + 1 < candidates.length) {deliver(index + 1);}
+        else {callback(err);}
+      });
+    };
+    deliver(0);
   }
 
   /**
@@ -382,72 +1767,695 @@ class TokenLogin {
     return !!get(session, 'verifyAt');
   }
 
+  /**
+   * findSession - find the session of user by flow id, or on a connection, the one awaiting a token if any,
+   * as a connection that logged in and then confirms actions has verified sessions too
+   * sessions of a flow are only found from the client the flow is bound to, see flowFingerprint
+   *
+   * @param  {object} user Meteor.user()
+   * @param  {object} connection this.connection of method
+   * @param  {string} flowId = undefined optional, flow id of session
+   * @returns {object}           session document, undefined when there is none
+   */
+  findSession(user, connection, flowId = undefined){
+    let selector = flowId ? {flowId, userId: user._id} : {connectionId: connection.id, userId: user._id};
+    let session = this.collection.findOne(_.extend({verifyAt: {$exists: false}}, selector)) ||
+      this.collection.findOne(selector, {sort: {verifyAt: -1}});
+    if (session && flowId && !this.boundTo(session, connection)) {return undefined;}
+    return session;
+  }
+
+  /**
+   * boundTo - whether the flow of session is bound to the client of connection, see flowFingerprint
+   *
+   * @param  {object} session    session document
+   * @param  {object} connection this.connection of method
+   * @returns {boolean}           true when connection may continue the flow of session
+   */
+  boundTo(session, connection){
+    return (session.fingerprint || undefined) === this.flowFingerprint(connection);
+  }
+
+  /**
+   * flowFingerprint - fingerprint of the client a flow id is bound to, see config.flowBinding
+   *
+   * @param  {object} connection this.connection of method
+   * @returns {string}            hashed fingerprint, undefined when flows are bound to the user only
+   */
+  flowFingerprint(connection){
+    let binding = this.config.flowBinding;
+    if (!binding) {return undefined;}
+    let fingerprint = _.isFunction(binding) ? binding(connection) : _.values(_.pick(connectionInfo(connection), binding));
+    return crypto.createHash('sha256').update(JSON.stringify(fingerprint)).digest('base64');
+  }
+
+  /**
+   * requireRecentVerification - guard for methods doing sensitive actions, i.e. changing email or paying,
+   * passes when the logged in user verified a token on this connection within maxAge,
+   * either by logging in or by confirmAction, otherwise client should run its confirmAction flow and retry
+   * i.e. TwoFactorLogin.requireRecentVerification(this, 60*1000) at the start of a method
+   *
+   * @param  {object} invocation this of the method
+   * @param  {number} maxAge = config.verificationMaxAge optional, in milliseconds
+   * @throws {Meteor.Error} user/not-logged-in, or user/verification-required with maxAge in details
+   * @returns {boolean}            true when recently verified
+   */
+  requireRecentVerification(invocation, maxAge = this.config.verificationMaxAge){
+    check(maxAge, Match.Integer);
+    let user = findCurrentUser(invocation.userId);
+    // server-side calls have no connection to have verified on
+    let connectionId = invocation.connection && invocation.connection.id;
+    let session = connectionId && this.collection.findOne({
+      connectionId,
+      userId: user._id,
+      verifyAt: {$gte: new Date(Date.now() - maxAge)},
+      // trusted devices log in without a token, they verify nothing
+      factor: {$ne: 'device'},
+    });
+    if (!session) {throw tokenLoginError(ErrorCodes.VERIFICATION_REQUIRED, {maxAge});}
+    return true;
+  }
+
   /**
    * verifyToken - verify a token - session
    *
    * @param  {object} user Meteor.user()
-   * @param  {string} connectionId id of session to verify
+   * @param  {object} connection this.connection of method
    * @param  {string} token     token used to verify session
-   * @returns {boolean}           true when session is verified
-   */
-  verifyToken(user, connectionId, token){
-    let session = this.collection.findOne({connectionId: connectionId, userId: user._id});
-    if (!session){console.log('no session'); return false;}
-    if (!!session.verifyAt){console.log('already verified'); return false;}
-    if ((new Date() - new Date(session.expireAt)) > 0) {console.log('expired'); return false;}
-    if (session.token !== token) {console.log('wrong token'); return false;}
-    this.collection.update(session._id, {
-      $set: {verifyAt: new Date()},
+   * @param  {string} flowId = undefined optional, flow id of session, defaults to the session of connection
+   * @throws {Meteor.Error} session/not-found, session/already-verified, token/expired or token/mismatch
+   * @returns {string}           id of verified session
+   */
+  verifyToken(user, connection, token, flowId = undefined){
+    let session = this.findSession(user, connection, flowId);
+    if (!session) {
+      let info = _.extend({reason: ErrorCodes.SESSION_NOT_FOUND, userId: user._id}, connectionInfo(connection));
+      this.emit(AuditEvents.VERIFY_FAILED, info);
+      throw tokenLoginError(ErrorCodes.SESSION_NOT_FOUND);
+    }
+    if (session.connectionId !== connection.id) {
+      // flow continues on a new connection, i.e. after a reconnect, requireRecentVerification checks this one
+      this.collection.update(session._id, {$set: {connectionId: connection.id}});
+    }
+    this.verifySession(user, session, token, connection.clientAddress);
+    return session._id;
+  }
+
+  /**
+   * verifySession - verify a token against a session
+   *
+   * @param  {object} user    Meteor.user()
+   * @param  {object} session session document of user
+   * @param  {string} token   token used to verify session
+   * @param  {string} clientAddress = session.clientAddress address of client entering token, see lockoutPath
+   * @throws {Meteor.Error} session/already-verified, token/expired or token/mismatch
+   * @returns {boolean}         true when session is verified
+   */
+  verifySession(user, session, token, clientAddress = session.clientAddress){
+    let fail = (code)=>{
+      this.emit(AuditEvents.VERIFY_FAILED, _.extend({reason: code}, this.sessionInfo(session)));
+      return tokenLoginError(code);
+    };
+    if (!!session.verifyAt) {throw fail(ErrorCodes.SESSION_VERIFIED);}
+    if ((new Date() - new Date(session.expireAt)) > 0) {throw fail(ErrorCodes.TOKEN_EXPIRED);}
+    // the attempt is counted before the token is compared, so concurrent guesses cannot exceed maxAttempts
+    let counted = this.collection.update({
+      _id: session._id,
+      verifyAt: {$exists: false},
+      attempts: {$not: {$gte: this.config.maxAttempts}},
+    }, {$inc: {attempts: 1}});
+    if (!counted) {throw fail(ErrorCodes.SESSION_NOT_FOUND);}
+    let method = this.config.factors[session.factor];
+    let valid = get(method, 'verify') ?
+      method.verify(user, this.normalizeToken(token, session.factor), method.settings, this) : this.matchToken(session, token);
+    if (!valid) {
+      this.recordFailedAttempt(user, session, clientAddress);
+      throw fail(ErrorCodes.TOKEN_MISMATCH);
+    }
+    // only one of concurrent verifications of a session succeeds
+    let verified = this.collection.update({_id: session._id, verifyAt: {$exists: false}}, {
+      $set: {verifyAt: new Date(), retainAt: new Date(Date.now() + this.config.retain)},
       $unset: {expireAt: true},
     });
+    if (!verified) {throw fail(ErrorCodes.SESSION_VERIFIED);}
+    this.emit(AuditEvents.VERIFIED, this.sessionInfo(session));
+    Meteor.users.update(user._id, {$unset: {[this.lockoutPath(clientAddress)]: true}});
+    return true;
+  }
+
+  /**
+   * recordFailedAttempt - handles a wrong token of a session, its attempt is already counted by verifySession,
+   * the session is invalidated once maxAttempts are used up, and counts as a failed session of user
+   *
+   * @param  {object} user    Meteor.user()
+   * @param  {object} session session document the wrong token was entered for
+   * @param  {string} clientAddress address of client entering the token, see lockoutPath
+   */
+  recordFailedAttempt(user, session, clientAddress){
+    // the remove only succeeds once, however many guesses fail at the same time
+    let exhausted = {_id: session._id, verifyAt: {$exists: false}, attempts: {$gte: this.config.maxAttempts}};
+    if (this.collection.remove(exhausted)) {
+      this.recordFailedSession(user, clientAddress);
+    }
+  }
+
+  /**
+   * recordFailedSession - counts a failed session of user, after lockoutThreshold failed sessions
+   * user is locked out, the lockout doubles with every further failed session up to lockoutMaxDuration
+   *
+   * @param  {object} user Meteor.user()
+   * @param  {string} clientAddress = undefined address of client the session failed for, see lockoutPath
+   */
+  recordFailedSession(user, clientAddress = undefined){
+    let path = this.lockoutPath(clientAddress);
+    Meteor.users.update(user._id, {$inc: {[`${path}.failures`]: 1}});
+    let failures = get(Meteor.users.findOne(user._id, {fields: {[path]: 1}}), `${path}.failures`);
+    if (failures < this.config.lockoutThreshold) {return;}
+    let duration = Math.min(
+      this.config.lockoutDuration * Math.pow(2, failures - this.config.lockoutThreshold),
+      this.config.lockoutMaxDuration
+    );
+    Meteor.users.update(user._id, {$set: {[`${path}.until`]: new Date((new Date()).getTime() + duration)}});
+  }
+
+  /**
+   * assertNotLockedOut - check user is not locked out after repeated failed sessions
+   *
+   * @param  {object} user Meteor.user()
+   * @param  {string} clientAddress = undefined address of client logging in, see lockoutPath
+   * @throws {Meteor.Error} user/locked-out when user is locked out, details contain the time lockout ends
+   */
+  assertNotLockedOut(user, clientAddress = undefined){
+    let until = get(user, `${this.lockoutPath(clientAddress)}.until`);
+    if (until && until > new Date()) {
+      throw tokenLoginError(ErrorCodes.USER_LOCKED_OUT, {until});
+    }
+  }
+
+  /**
+   * lockoutPath - path of the lockout of user, in passwordless mode anyone may request tokens for any user,
+   * so there failed sessions lock out only the client address they came from, not user everywhere
+   *
+   * @param  {string} clientAddress = undefined address of client
+   * @returns {string}               path of lockout in user document
+   */
+  lockoutPath(clientAddress = undefined){
+    if (!this.config.passwordless) {return `services.${this.config.profile}.lockout`;}
+    // addresses contain dots, which field names must not
+    let key = crypto.createHash('sha256').update(String(clientAddress)).digest('hex').slice(0, 16);
+    return `services.${this.config.profile}.lockouts.${key}`;
+  }
+
+  /**
+   * enrollTotp - creates a new authenticator app secret for user, pending confirmation
+   * the secret is kept in user services, which is not published to client
+   *
+   * @param  {object} user Meteor.user()
+   * @throws {Meteor.Error} factor/disabled
+   * @returns {object}      secret and otpauth uri to show as QR code
+   */
+  enrollTotp(user){
+    this.assertFactorEnabled(user, 'totp');
+    let settings = this.config.factors.totp.settings;
+    let secret = Totp.generateSecret();
+    Meteor.users.update(user._id, {$set: {
+      [`services.${this.config.profile}.totpPending`]: {secret, createdAt: new Date()},
+    }});
+    let label = get(user, 'username') || get(user, 'emails.0.address') || user._id;
+    let uri = Totp.keyUri({secret, label, issuer: settings.issuer, digits: settings.digits, step: settings.step});
+    return {secret, uri};
+  }
+
+  /**
+   * confirmTotp - confirms pending authenticator app secret with a code it generated,
+   * then makes it the primary factor of user
+   *
+   * @param  {object} user Meteor.user()
+   * @param  {string} token code shown in authenticator app
+   * @throws {Meteor.Error} totp/not-enrolled when user has not started enrolling, token/mismatch when code is wrong
+   * @returns {boolean}       true when authenticator app is enrolled
+   */
+  confirmTotp(user, token){
+    let pending = get(user, `services.${this.config.profile}.totpPending`);
+    if (!pending) {
+      throw tokenLoginError(ErrorCodes.TOTP_NOT_ENROLLED);
+    }
+    let counter = Totp.verifyTotp(pending.secret, this.normalizeToken(token, 'totp'), this.config.factors.totp.settings);
+    if (counter === null) {throw tokenLoginError(ErrorCodes.TOKEN_MISMATCH);}
+    Meteor.users.update(user._id, {
+      $set: {
+        [`services.${this.config.profile}.totp`]: {secret: pending.secret, lastCounter: counter, confirmedAt: new Date()},
+      },
+      $unset: {[`services.${this.config.profile}.totpPending`]: true},
+    });
+    this.setUserFactor(user, {factor: 'totp', primary: true});
+    this.emit(AuditEvents.FACTOR_ADDED, {userId: user._id, factor: 'totp'});
     return true;
   }
 
+  /**
+   * verifyTotp - verify a code from the enrolled authenticator app of user
+   * each time step may only be used once, as a code stays valid for the whole drift window
+   *
+   * @param  {object} user     Meteor.user()
+   * @param  {string} token    code shown in authenticator app
+   * @param  {object} settings = {} digits, step and window of totp factor
+   * @returns {boolean}          true when code is valid and not used before
+   */
+  verifyTotp(user, token, settings = {}){
+    let path = `services.${this.config.profile}.totp`;
+    let secret = get(user, `${path}.secret`);
+    if (!secret) {return false;}
+    let counter = Totp.verifyTotp(secret, token, settings);
+    if (counter === null) {return false;}
+    // only update when time step is newer than last used, so concurrent use of a code fails
+    return !!Meteor.users.update({
+      _id: user._id,
+      $or: [{[`${path}.lastCounter`]: {$exists: false}}, {[`${path}.lastCounter`]: {$lt: counter}}],
+    }, {$set: {[`${path}.lastCounter`]: counter}});
+  }
+
+  /**
+   * generateRecoveryCodes - replaces the recovery codes of user with a new set of 80 bit codes,
+   * codes are stored hashed so they can only be shown to the user once
+   *
+   * @param  {object} user Meteor.user()
+   * @returns {string[]}    new recovery codes, i.e. 3f0a-91c2-7d4e-b805-6a1f
+   */
+  generateRecoveryCodes(user){
+    let codes = _.times(this.config.recoveryCodes, ()=>Random.hexString(20).match(/.{4}/g).join('-'));
+    Meteor.users.update(user._id, {$set: {
+      [`services.${this.config.profile}.recoveryCodes`]: codes.map(code=>hashRecoveryCode(this.codeSecret, code)),
+    }});
+    return codes;
+  }
+
+  /**
+   * recoveryCodesRemaining - count the unused recovery codes of user
+   *
+   * @param  {object} user Meteor.user()
+   * @returns {number}      number of unused recovery codes
+   */
+  recoveryCodesRemaining(user){
+    return (get(user, `services.${this.config.profile}.recoveryCodes`) || []).length;
+  }
+
+  /**
+   * useRecoveryCode - burns a recovery code of user
+   *
+   * @param  {object} user Meteor.user()
+   * @param  {string} code recovery code typed by user
+   * @returns {boolean}     true when code was unused and is now burned
+   */
+  useRecoveryCode(user, code){
+    let path = `services.${this.config.profile}.recoveryCodes`;
+    // matching the hash in the selector makes sure concurrent use of a code only succeeds once
+    return _.some(this.codeHashes(code), hash=>!!Meteor.users.update({_id: user._id, [path]: hash}, {$pull: {[path]: hash}}));
+  }
+
+  /**
+   * signDevice - signature of a trusted device token, binds device to user and expiry
+   *
+   * @param  {string} userId   id of user
+   * @param  {string} deviceId id of device
+   * @param  {number} expireAt expiry time in milliseconds
+   * @returns {string}          hex encoded signature
+   */
+  signDevice(userId, deviceId, expireAt){
+    return crypto.createHmac('sha256', this.config.deviceSecret)
+                 .update(`${userId}.${deviceId}.${expireAt}`)
+                 .digest('hex');
+  }
+
+  /**
+   * trustDevice - records a trusted device of user and issues its signed, expiring token
+   * expired devices of user are removed at the same time
+   *
+   * @param  {object} user Meteor.user()
+   * @param  {string} name label to recognise the device by
+   * @returns {string}      trusted device token
+   */
+  trustDevice(user, name){
+    let path = `services.${this.config.profile}.devices`;
+    let device = {
+      id: Random.id(),
+      name,
+      createdAt: new Date(),
+      expireAt: new Date((new Date()).getTime() + this.config.deviceExpiry),
+    };
+    Meteor.users.update(user._id, {$pull: {[path]: {expireAt: {$lt: new Date()}}}});
+    Meteor.users.update(user._id, {$push: {[path]: device}});
+    let expireAt = device.expireAt.getTime();
+    return `${device.id}.${expireAt}.${this.signDevice(user._id, device.id, expireAt)}`;
+  }
+
+  /**
+   * verifyDeviceToken - check a trusted device token is signed for user, unexpired and not revoked
+   *
+   * @param  {object} user Meteor.user()
+   * @param  {string} token trusted device token
+   * @returns {boolean}      true when device is trusted
+   */
+  verifyDeviceToken(user, token){
+    let [deviceId, expireAt, signature] = token.split('.');
+    if (!safeEqual(signature, this.signDevice(user._id, deviceId, expireAt))) {return false;}
+    if (Number(expireAt) < (new Date()).getTime()) {return false;}
+    return !!_.findWhere(this.listDevices(user), {id: deviceId});
+  }
+
+  /**
+   * listDevices - list the trusted devices of user
+   *
+   * @param  {object} user Meteor.user()
+   * @returns {object[]}    id, name, createdAt and expireAt of each unexpired device
+   */
+  listDevices(user){
+    let devices = get(user, `services.${this.config.profile}.devices`) || [];
+    return devices.filter(device=>device.expireAt > new Date());
+  }
+
+  /**
+   * revokeDevice - stop trusting a device of user
+   *
+   * @param  {object} user     Meteor.user()
+   * @param  {string} deviceId id of device to revoke
+   * @returns {number}          1 when device is revoked, 0 otherwise
+   */
+  revokeDevice(user, deviceId){
+    return Meteor.users.update(user._id, {$pull: {[`services.${this.config.profile}.devices`]: {id: deviceId}}});
+  }
+
+  /**
+   * createLinkCode - creates a code for user to link the contact of a factor that links its own contacts,
+   * replaces any earlier link code of user
+   *
+   * @param  {object} user   Meteor.user()
+   * @param  {string} factor name of factor to link
+   * @throws {Meteor.Error} factor/unsupported when factor does not link contacts
+   * @returns {object}        code and url to open, url is undefined when factor cannot build one
+   */
+  createLinkCode(user, factor){
+    let method = this.config.factors[factor];
+    if (!get(method, 'link')) {throw tokenLoginError(ErrorCodes.FACTOR_UNSUPPORTED, {factor});}
+    let code = Random.id(16);
+    Meteor.users.update(user._id, {$set: {[`services.${this.config.profile}.link`]: {
+      code,
+      factor,
+      expireAt: new Date((new Date()).getTime() + this.config.linkExpiry),
+    }}});
+    return {code, url: method.link(code)};
+  }
+
+  /**
+   * consumeLinkCode - links contact to the user a link code was created for, the code is burned
+   *
+   * @param  {string} code    link code received by factor
+   * @param  {string} factor  name of factor that received the code
+   * @param  {string} contact contact to link, i.e. Telegram chat id
+   * @returns {object|undefined}  user contact is linked to, undefined when code is unknown or expired
+   */
+  consumeLinkCode(code, factor, contact){
+    let path = `services.${this.config.profile}.link`;
+    let user = Meteor.users.findOne({
+      [`${path}.code`]: code,
+      [`${path}.factor`]: factor,
+      [`${path}.expireAt`]: {$gt: new Date()},
+    });
+    // unset with code in selector so a code is only consumed once
+    if (!user || !Meteor.users.update({_id: user._id, [`${path}.code`]: code}, {$unset: {[path]: true}})) {
+      return undefined;
+    }
+    this.setUserFactor(user, {factor, contact});
+    this.emit(AuditEvents.FACTOR_ADDED, {userId: user._id, factor});
+    return user;
+  }
+
+  /**
+   * signMagicLink - signature of a magic link, binds token to its session
+   *
+   * @param  {string} sessionId id of session
+   * @param  {string} token     token of session
+   * @returns {string}           hex encoded signature
+   */
+  signMagicLink(sessionId, token){
+    return crypto.createHmac('sha256', this.config.deviceSecret)
+                 .update(`link.${sessionId}.${token}`)
+                 .digest('hex');
+  }
+
+  /**
+   * createMagicLink - creates the signed link sent in place of typing a token
+   *
+   * @param  {string} sessionId id of session
+   * @param  {string} token     token of session
+   * @returns {string}           absolute url of link
+   */
+  createMagicLink(sessionId, token){
+    let query = [
+      `s=${encodeURIComponent(sessionId)}`,
+      `t=${encodeURIComponent(token)}`,
+      `sig=${this.signMagicLink(sessionId, token)}`,
+    ].join('&');
+    return Meteor.absoluteUrl(`${this.config.magicLink.path.replace(/^\//, '')}?${query}`);
+  }
+
+  /**
+   * verifyMagicLink - verifies the session of a magic link and issues a login token for its user
+   *
+   * @param  {string} sessionId id of session in link
+   * @param  {string} token     token in link
+   * @param  {string} signature signature of link
+   * @param  {string} browserId = undefined id of browser opening the link, required when sameBrowser is set
+   * @throws {Meteor.Error} link/invalid, link/other-browser, user/locked-out, or errors of verifySession
+   * @returns {string}           Meteor login service token
+   */
+  verifyMagicLink(sessionId, token, signature, browserId = undefined){
+    if (!_.isString(sessionId) || !safeEqual(signature, this.signMagicLink(sessionId, token))) {
+      throw tokenLoginError(ErrorCodes.LINK_INVALID);
+    }
+    let session = this.collection.findOne(sessionId);
+    let user = session && Meteor.users.findOne(session.userId);
+    if (!user) {throw tokenLoginError(ErrorCodes.LINK_INVALID);}
+    if (this.config.magicLink.sameBrowser && !safeEqual(session.browserId, browserId)) {
+      throw tokenLoginError(ErrorCodes.LINK_OTHER_BROWSER);
+    }
+    this.assertNotLockedOut(user, session.clientAddress);
+    this.verifySession(user, session, token);
+    return this.saveMeteorServiceToken(user, session._id);
+  }
+
   /**
    * createSession - creates a verification session
    *
-   * @param {string} connectionId id used for subsequent queries
+   * @param {object} connection this.connection of method, its id is used for subsequent queries
    * @param  {object} user Meteor.user()
-   * @param  {string} token  unique string for verification
+   * @param  {string} token  unique string for verification, undefined when factor verifies its own codes
    * @param  {string} factor name of method token should be sent via
+   * @param  {object} options = {} optional, browserId of requesting browser, and flowId, which finds the session
+   * from other connections of the same client
    * @returns {string}        id of session created
    */
-  createSession(connectionId, user, token, factor){
-    return this.collection.insert({
-      token,
+  createSession(connection, user, token, factor, options = {}){
+    let salt = Random.secret(16);
+    return this.collection.insert(_.extend({
+      salt,
+      tokenHash: _.isString(token) ? hashToken(this.config.hashSecret, salt, this.normalizeToken(token)) : undefined,
       factor,
+      attempts: 0,
+      createdAt: new Date(),
       expireAt: new Date((new Date()).getTime() + this.config.expiry),
       userId: user._id,
-      connectionId
-    });
+      browserId: options.browserId,
+      flowId: options.flowId,
+      fingerprint: options.flowId ? this.flowFingerprint(connection) : undefined,
+    }, connectionInfo(connection)));
   }
 
   /**
-   * generateToken - generates a token, uses user defined function to create unique verification token
+   * recordLogin - records a login without a session awaiting a token, i.e. by recovery code or trusted device,
+   * as a verified session, so the login token it issues is revoked with the sessions of user
+   *
+   * @param  {object} connection this.connection of method
+   * @param  {object} user       Meteor.user()
+   * @param  {string} factor     how user logged in, i.e. recovery, bypass or device
+   * @param  {string} flowId = undefined optional, flow id of the login
+   * @returns {string}            id of session created
+   */
+  recordLogin(connection, user, factor, flowId = undefined){
+    let now = new Date();
+    return this.collection.insert(_.extend({
+      factor,
+      createdAt: now,
+      verifyAt: now,
+      retainAt: new Date(now.getTime() + this.config.retain),
+      userId: user._id,
+      flowId,
+      fingerprint: flowId ? this.flowFingerprint(connection) : undefined,
+    }, connectionInfo(connection)));
+  }
+
+  /**
+   * retainSessions - verified sessions expire at retainAt, which outlives the login tokens they issued,
+   * sessions verified before retainAt was kept expire retain after now, instead of by their verifyAt
+   */
+  retainSessions(){
+    try {
+      this.collection._dropIndex({verifyAt: 1});
+    } catch (err) {
+      // dropped before, or never created
+    }
+    this.collection._ensureIndex({retainAt: 1}, {expireAfterSeconds: 0});
+    this.collection.update({verifyAt: {$exists: true}, retainAt: {$exists: false}}, {
+      $set: {retainAt: new Date(Date.now() + this.config.retain)},
+    }, {multi: true});
+  }
+
+  /**
+   * messageFor - renders the message of a token sent via factor, in the locale of user, see config messages
+   * templates may use {{token}}, {{expiry}} in minutes, {{appName}}, {{ip}} of the request and {{link}} of magic links
+   * factor settings are used when no locale has every template they have, i.e. subject, text and html of emailFactor
+   *
+   * @param  {object} user       Meteor.user()
+   * @param  {object} connection this.connection of method requesting the token, undefined when there is none
+   * @param  {string} factor     name of factor
+   * @param  {string} token      token to send
+   * @param  {string} link = undefined optional, magic link of token
+   * @returns {object}            link, message with subject, text and html rendered, and locale of message,
+   * added to the settings send receives
+   */
+  messageFor(user, connection, factor, token, link = undefined){
+    let settings = get(this.config.factors[factor], 'settings') || {};
+    let userLocale = this.config.userLocale;
+    let locale = _.isFunction(userLocale) ? userLocale(user) : get(user, userLocale);
+    let defaults = _.pick(settings, 'subject', 'text', 'html', 'linkText', 'linkHtml');
+    let candidates = localeCandidates(locale, this.config.defaultLocale);
+    let localized = localizeTemplates(this.config.messages || {}, factor, candidates, _.keys(defaults));
+    let templates = localized.locale ? localized.templates : defaults;
+    let values = {
+      token,
+      expiry: Math.round((settings.expiry || this.config.expiry) / (60*1000)),
+      appName: this.config.appName || url.parse(Meteor.absoluteUrl()).hostname,
+      ip: get(connection, 'clientAddress'),
+      link,
+    };
+    return {link, message: renderMessage(templates, values), locale: localized.locale};
+  }
+
+  /**
+   * matchToken - compares a token with the one of a session in constant time, both normalized
+   * sessions created before tokens were hashed still hold the plaintext token
+   *
+   * @param  {object} session session document
+   * @param  {string} token   token typed by user
+   * @returns {boolean}         true when token matches
+   */
+  matchToken(session, token){
+    if (session.tokenHash) {
+      return safeEqual(hashToken(this.config.hashSecret, session.salt, this.normalizeToken(token)), session.tokenHash);
+    }
+    return safeEqual(this.normalizeToken(session.token), this.normalizeToken(token));
+  }
+
+  /**
+   * generateToken - generates a token, uses user defined function or generator to create unique verification token
    *
    * @returns {string}  unique token string used for verification of session
    */
   generateToken(){
-    return this.config.generate();
+    let generate = this.config.generate;
+    return _.isFunction(generate) ? generate() : generate.generate();
+  }
+
+  /**
+   * normalizeToken - normalizes a token as its generator does, i.e. dropping separators and uppercasing,
+   * tokens of user defined functions only drop whitespace, as their case may matter,
+   * codes of factors that verify their own are normalized by the factor, or only drop whitespace
+   *
+   * @param  {string} token token sent or typed by user
+   * @param  {string} factor = undefined optional, name of factor that verifies its own codes, i.e. totp
+   * @returns {string}       normalized token
+   */
+  normalizeToken(token, factor = undefined){
+    let method = factor && this.config.factors[factor];
+    if (get(method, 'verify')) {
+      return method.normalize ? method.normalize(token, method.settings) : token.replace(/\s/g, '');
+    }
+    let generate = this.config.generate;
+    return _.isFunction(generate) ? token.replace(/\s/g, '') : generate.normalize(token);
+  }
+
+  /**
+   * tokenFormat - format of the tokens of a factor, for clients to render the right input,
+   * factors that verify their own codes may describe them with format(settings)
+   *
+   * @param  {string} factor = undefined optional, name of factor, defaults to tokens of the generator
+   * @returns {object}        length, group, separator, alphabet, caseSensitive and inputMode, all but inputMode and
+   * caseSensitive are undefined for user defined functions
+   */
+  tokenFormat(factor = undefined){
+    let method = factor && this.config.factors[factor];
+    if (get(method, 'format')) {return method.format(method.settings);}
+    let generate = this.config.generate;
+    return _.isFunction(generate) ? {caseSensitive: true, inputMode: 'text'} : generate.format;
   }
 
 
   /**
    * saveMeteorServiceToken - saves a stampedLoginToken to Meteor user services
    * allows user to login with a OTP token
+   * the hashed token is kept with the session it was issued for, so it can be revoked with it,
+   * and the session is retained until the token expires
    *
    * @param  {object} user Meteor.user()
+   * @param  {string} sessionId id of verified session, see recordLogin for logins without one
    * @returns {string}      loginToken
    */
-  saveMeteorServiceToken(user){
+  saveMeteorServiceToken(user, sessionId){
     // this login service token is different from the 2FA token
     let stampedToken = Accounts._generateStampedLoginToken();
+    let lifetime = Accounts._getTokenLifetimeMs();
+    if (this.config.loginTokenExpiry && this.config.loginTokenExpiry < lifetime) {
+      // Meteor expires tokens by their age, backdating makes them expire after loginTokenExpiry
+      stampedToken.when = new Date(stampedToken.when.getTime() - (lifetime - this.config.loginTokenExpiry));
+    }
+    let hashedToken = Accounts._hashStampedToken(stampedToken);
     let res = Meteor.users.update(user._id, {$push: {
-      'services.resume.loginTokens': Accounts._hashStampedToken(stampedToken),
+      'services.resume.loginTokens': hashedToken,
     }});
-    if (!res) {throw new Meteor.Error(`unable to save token to user services`);}
+    if (!res) {throw tokenLoginError(ErrorCodes.LOGIN_TOKEN_NOT_SAVED);}
+    let expireAt = Math.max(stampedToken.when.getTime() + lifetime, Date.now() + this.config.retain);
+    this.collection.update(sessionId, {$set: {loginTokenHash: hashedToken.hashedToken, retainAt: new Date(expireAt)}});
     return stampedToken.token;
   }
+
+  /**
+   * revokeLoginTokens - removes the login tokens issued for sessions from their users,
+   * logging out the clients using them
+   *
+   * @param  {object[]} sessions session documents
+   * @returns {number}           number of users updated
+   */
+  revokeLoginTokens(sessions){
+    let revoked = 0;
+    _.each(_.groupBy(_.filter(sessions, session=>session.loginTokenHash), 'userId'), (userSessions, userId)=>{
+      revoked += Meteor.users.update(userId, {$pull: {'services.resume.loginTokens': {
+        hashedToken: {$in: _.pluck(userSessions, 'loginTokenHash')},
+      }}});
+    });
+    return revoked;
+  }
+
+  /**
+   * logoutEverywhere - removes every login token of user, whichever login service issued it,
+   * and every session, so user logs in again on all devices
+   *
+   * @param  {object} user Meteor.user()
+   * @returns {number}      1 when user is updated
+   */
+  logoutEverywhere(user){
+    this.invalidateUserSessions(user._id);
+    return Meteor.users.update(user._id, {$set: {'services.resume.loginTokens': []}});
+  }
 }
 
 /**
@@ -474,6 +2482,9 @@ function get (obj, ...params) {
   return getObject(obj, path);
 }
 
+// exported to create further instances, i.e. a separate admin login flow
+export { TokenLogin };
+
 TwoFactorLogin = new TokenLogin('LoginSession', {
   factors: {
     telegram: {
@@ -482,12 +2493,7 @@ TwoFactorLogin = new TokenLogin('LoginSession', {
         callback(undefined, 'send success');
       }
     },
-    email: {
-      send: (contact, token, factor, settings, callback)=>{
-        console.log(`${factor} token: ${token} sent to ${contact} with ${settings}`);
-        callback(undefined, 'send success');
-      }
-    },
+    email: emailFactor(),
   },
   generate: ()=>Random.id(6),
   profile: 'TwoFactorLogin',
@@ -0,0 +1,101 @@
+import { HTTP } from 'meteor/http';
+import { check, Match } from 'meteor/check';
+import { _ } from 'meteor/underscore';
+
+import { ErrorCodes, tokenLoginError } from './tokenlogin-errors.js';
+import { renderMessage } from './tokenlogin-messages.js';
+
+/**
+ * request builders for the payload shapes of common SMS providers,
+ * each returns the options of HTTP.post for a message, see smsFactor
+ */
+const smsProviders = {
+  // plain JSON body, for own gateways and local stand-ins
+  json: ({to, text}, settings)=>({
+    data: {to, from: settings.from, text},
+  }),
+  // Twilio Messages API, url is https://api.twilio.com/2010-04-01/Accounts/<sid>/Messages.json
+  twilio: ({to, text}, settings)=>({
+    params: {To: to, From: settings.from, Body: text},
+    auth: `${settings.username}:${settings.password}`,
+  }),
+  // Vonage (Nexmo) SMS API, url is https://rest.nexmo.com/sms/json
+  vonage: ({to, text}, settings)=>({
+    params: {api_key: settings.username, api_secret: settings.password, from: settings.from, to, text},
+  }),
+  // MessageBird SMS API, url is https://rest.messagebird.com/messages
+  messagebird: ({to, text}, settings)=>({
+    data: {originator: settings.from, recipients: [to], body: text},
+    headers: {Authorization: `AccessKey ${settings.password}`},
+  }),
+};
+
+let defaultSettings = {
+  timeout: 10000,
+  provider: 'json',  // one of smsProviders, ignored when request is set
+  request: null,  // custom request builder, function of ({to, text, token}, settings) returning HTTP.post options
+  from: null,
+  username: null,
+  password: null,
+  headers: {},  // added to every request, i.e. api keys of own gateways
+  text: 'Your login code is {{token}}. It expires in {{expiry}} minutes.',
+  linkText: 'Log in with {{link}} within {{expiry}} minutes.',  // when sending magic links
+};
+
+/**
+ * isRetryable - whether sending again may succeed after a failed request
+ * network errors, timeouts, rate limits and server errors are retryable, other responses are not
+ *
+ * @param  {number} status HTTP status code, undefined when there was no response
+ * @returns {boolean}       true when retryable
+ */
+function isRetryable(status){
+  return !status || status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * smsFactor - creates a factor that sends tokens by POSTing to an SMS provider or webhook,
+ * register it with TokenLogin.addFactor, i.e. instance.addFactor(smsFactor({url, provider: 'twilio'}), 'sms')
+ * failures are factor/send-failed errors with status and retryable in details
+ * the text template may use {{token}} and {{expiry}}, expiry being in minutes, linkText may also use {{link}}
+ * instances send the message they render instead, in the locale of user, see TokenLogin.messageFor
+ *
+ * @param  {object} settings url, optionally provider or request, from, username, password, headers, text, linkText and timeout
+ * @returns {object}          factor with send function and settings
+ */
+function smsFactor(settings){
+  check(settings, {
+    url: String,
+    provider: Match.Maybe(Match.Where(provider=>_.has(smsProviders, provider))),
+    request: Match.Maybe(Function),
+    from: Match.Maybe(String),
+    username: Match.Maybe(String),
+    password: Match.Maybe(String),
+    headers: Match.Maybe(Object),
+    text: Match.Maybe(Match.OneOf(String, Function)),
+    linkText: Match.Maybe(Match.OneOf(String, Function)),
+    timeout: Match.Maybe(Match.Integer),
+  });
+  return {
+    send: (contact, token, factor, options, callback)=>{
+      let values = {token, expiry: Math.round(options.expiry / (60*1000)), link: options.link};
+      let text = (options.message || renderMessage(options, values)).text;
+      let build = options.request || smsProviders[options.provider];
+      let request = build({to: contact, text, token}, options);
+      request.headers = _.extend({}, options.headers, request.headers);
+      request.timeout = options.timeout;
+      HTTP.post(options.url, request, (err, res)=>{
+        let status = (res || (err && err.response) || {}).statusCode;
+        if (!err && status >= 200 && status < 300) {
+          callback(undefined, 'send success');
+          return;
+        }
+        let reason = err ? err.message : `SMS provider replied with status ${status}`;
+        callback(tokenLoginError(ErrorCodes.FACTOR_SEND_FAILED, {factor, status, retryable: isRetryable(status)}, reason));
+      });
+    },
+    settings: _.extend({}, defaultSettings, settings),
+  };
+}
+
+export { smsFactor, smsProviders };
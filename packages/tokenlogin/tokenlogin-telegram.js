@@ -0,0 +1,185 @@
+import { Meteor } from 'meteor/meteor';
+import { HTTP } from 'meteor/http';
+import { WebApp } from 'meteor/webapp';
+import { check, Match } from 'meteor/check';
+import { _ } from 'meteor/underscore';
+
+import { render, renderMessage } from './tokenlogin-messages.js';
+
+let defaultSettings = {
+  timeout: 10000,
+  apiUrl: 'https://api.telegram.org',  // point at a mock Bot API server when testing
+  botName: null,  // username of bot, used to build t.me links for linking
+  webhookPath: '/tokenlogin/telegram',  // null to not register a webhook, call handleUpdate from polling instead
+  webhookSecret: null,  // secret_token given to setWebhook, checked against the request header, required with webhookPath
+  webhookMaxBytes: 64*1024,  // largest update body accepted by the webhook
+  text: 'Your login code is {{token}}. It expires in {{expiry}} minutes.',
+  linkText: 'Open this link to log in: {{link}}\nIt expires in {{expiry}} minutes.',  // when sending magic links
+  linkedText: 'Your Telegram account is now linked, login codes will be sent here.',
+  unknownLinkText: 'This link has expired, please request a new one.',
+};
+
+/**
+ * callBotApi - calls a Telegram Bot API method
+ *
+ * @param  {object} settings  settings of factor, with apiUrl, botToken and timeout
+ * @param  {string} method    name of Bot API method, i.e. 'sendMessage'
+ * @param  {object} data      parameters of Bot API method
+ * @param  {function} callback function to call with error or Bot API result
+ */
+function callBotApi(settings, method, data, callback){
+  let url = `${settings.apiUrl}/bot${settings.botToken}/${method}`;
+  HTTP.post(url, {data, timeout: settings.timeout}, (err, res)=>{
+    if (err) {
+      // Bot API replies with {ok: false, description} on errors
+      let description = err.response && err.response.data && err.response.data.description;
+      callback(new Error(description || err.message));
+      return;
+    }
+    callback(undefined, res.data.result);
+  });
+}
+
+/**
+ * readBody - reads and parses the JSON body of a webhook request, refusing bodies over maxBytes
+ *
+ * @param  {object} req      node http request
+ * @param  {number} maxBytes largest body accepted
+ * @param  {function} callback function to call with error or parsed body, the error has status 413 when body is too large
+ */
+function readBody(req, maxBytes, callback){
+  let body = '';
+  let failed = false;
+  let fail = (err)=>{
+    if (failed) {return;}
+    failed = true;
+    callback(err);
+  };
+  req.on('data', chunk=>{
+    body += chunk;
+    if (body.length > maxBytes) {
+      // the rest of the body is read and dropped
+      body = '';
+      req.removeAllListeners('data');
+      req.resume();
+      fail(_.extend(new Error(`update body exceeds ${maxBytes} bytes`), {status: 413}));
+    }
+  });
+  req.on('error', fail);
+  req.on('end', ()=>{
+    if (failed) {return;}
+    try {
+      callback(undefined, JSON.parse(body));
+    } catch (err) {
+      fail(err);
+    }
+  });
+}
+
+/**
+ * telegramFactor - creates a factor that sends tokens with a Telegram bot,
+ * register it with TokenLogin.addFactor, i.e. instance.addFactor(telegramFactor({botToken}), 'telegram')
+ * the contact of the factor is the chat id of user, which is linked when user sends /start <linkcode>
+ * to the bot, see TokenLogin.createLinkCode
+ * the text template may use {{token}} and {{expiry}}, expiry being in minutes, linkText may also use {{link}}
+ * instances send the message they render instead, in the locale of user, see TokenLogin.messageFor
+ *
+ * the webhook only accepts updates carrying webhookSecret, so it must be set unless webhookPath is null
+ *
+ * @param  {object} settings botToken, webhookSecret, optionally apiUrl, botName, webhookPath, timeout and texts
+ * @throws {Error} when webhookPath is set without webhookSecret
+ * @returns {object}          factor with send, attach, link and handleUpdate functions and settings
+ */
+function telegramFactor(settings){
+  let template = Match.Maybe(Match.OneOf(String, Function));
+  check(settings, {
+    botToken: String,
+    apiUrl: Match.Maybe(String),
+    botName: Match.Maybe(String),
+    webhookPath: Match.Maybe(String),
+    webhookSecret: Match.Maybe(String),
+    webhookMaxBytes: Match.Maybe(Match.Integer),
+    timeout: Match.Maybe(Match.Integer),
+    text: template,
+    linkText: template,
+    linkedText: template,
+    unknownLinkText: template,
+  });
+  settings = _.extend({}, defaultSettings, settings);
+  if (settings.webhookPath && !settings.webhookSecret) {
+    // anyone could post updates to the webhook, i.e. link their chat to a leaked link code
+    throw new Error(`telegramFactor: set webhookSecret, and pass it to setWebhook, or set webhookPath to null`);
+  }
+  let attached = [];
+
+  let factor = {
+    send: (contact, token, name, options, callback)=>{
+      let values = {token, expiry: Math.round(options.expiry / (60*1000)), link: options.link};
+      let text = (options.message || renderMessage(options, values)).text;
+      callBotApi(options, 'sendMessage', {chat_id: contact, text}, (err)=>{
+        if (err) {callback(err);}
+        else {callback(undefined, 'send success');}
+      });
+    },
+
+    /**
+     * attach - called by TokenLogin.addFactor, registers webhook for linking chat ids
+     *
+     * @param  {object} instance TokenLogin instance factor is added to
+     * @param  {string} key      name factor is added as
+     */
+    attach: (instance, key)=>{
+      attached.push({instance, key});
+      if (!settings.webhookPath || attached.length > 1) {return;}
+      WebApp.connectHandlers.use(settings.webhookPath, Meteor.bindEnvironment((req, res)=>{
+        let secret = req.headers['x-telegram-bot-api-secret-token'];
+        if (req.method !== 'POST' || secret !== settings.webhookSecret) {
+          res.writeHead(403);
+          res.end();
+          return;
+        }
+        readBody(req, settings.webhookMaxBytes, Meteor.bindEnvironment((err, update)=>{
+          // acknowledge all but oversized bodies, otherwise Telegram keeps redelivering the update
+          res.writeHead((err && err.status) || 200);
+          res.end();
+          if (!err) {factor.handleUpdate(update);}
+        }));
+      }));
+    },
+
+    /**
+     * link - url user opens to send /start <linkcode> to the bot
+     *
+     * @param  {string} code link code
+     * @returns {string}      t.me url, undefined when botName is not set
+     */
+    link: (code)=>{
+      if (settings.botName) {return `https://t.me/${settings.botName}?start=${code}`;}
+    },
+
+    /**
+     * handleUpdate - handles an update from the Bot API, links chat id of user on /start <linkcode>
+     * call it with updates from getUpdates when not using the webhook
+     *
+     * @param  {object} update Telegram update
+     * @returns {boolean}       true when a chat id is linked
+     */
+    handleUpdate: (update)=>{
+      let message = update && update.message;
+      let match = message && _.isString(message.text) && message.text.match(/^\/start\s+(\S+)/);
+      if (!match) {return false;}
+      let chatId = String(message.chat.id);
+      let linked = _.some(attached, ({instance, key})=>!!instance.consumeLinkCode(match[1], key, chatId));
+      let text = render(linked ? settings.linkedText : settings.unknownLinkText, {});
+      callBotApi(settings, 'sendMessage', {chat_id: chatId, text}, (err)=>{
+        if (err) {console.error(`TokenLogin telegram reply failed`, err);}
+      });
+      return linked;
+    },
+
+    settings,
+  };
+  return factor;
+}
+
+export { telegramFactor };
@@ -1,11 +1,793 @@
+/*global Buffer*/
+
 // Import Tinytest from the tinytest Meteor package.
 import { Tinytest } from "meteor/tinytest";
 
-// Import and rename a variable exported by tokenlogin.js.
-import { name as packageName } from "meteor/freelancecourtyard:tokenlogin";
+import { Meteor } from "meteor/meteor";
+import { Accounts } from "meteor/accounts-base";
+import { _ } from "meteor/underscore";
+import { DDPRateLimiter } from "meteor/ddp-rate-limiter";
+import { Email } from "meteor/email";
+import http from "http";
+import url from "url";
+import crypto from "crypto";
+
+import { TokenLogin, Totp, ErrorCodes, AuditEvents, emailFactor, smsFactor, telegramFactor, tokenGenerators } from "meteor/freelancecourtyard:tokenlogin";
+
+// tokens sent by the sms factor of the fixture, by contact
+const sent = {};
+
+// one instance for every test, as each instance registers its methods and login hook for the whole run
+const fixture = new TokenLogin('TokenLoginTest', {
+  factors: {
+    sms: {
+      send: (contact, token, factor, settings, callback)=>{
+        sent[contact] = {token, settings};
+        callback(undefined, 'send success');
+      },
+      settings: {text: 'Code {{token}}'},
+    },
+    resolves: {send: ()=>Promise.resolve('send success')},
+    rejects: {send: ()=>Promise.reject(new Error('provider down'))},
+  },
+  retries: 0,
+});
+
+let userCount = 0;
+
+/**
+ * createUser - inserts a user with factors kept where the fixture reads them
+ *
+ * @param  {object[]} factors = sms factor optional, factors of user
+ * @returns {object}          user
+ */
+function createUser(factors = [{factor: 'sms', contact: `+65${Date.now()}${userCount}`, primary: true}]){
+  userCount += 1;
+  let userId = Meteor.users.insert({
+    username: `tokenlogin-test-${Date.now()}-${userCount}`,
+    services: {TokenLogin: {factors}},
+  });
+  return Meteor.users.findOne(userId);
+}
+
+// secret of the RFC 6238 test vectors, ascii '12345678901234567890'
+const rfcSecret = Totp.base32Encode(new Buffer('12345678901234567890'));
+
+Tinytest.add('tokenlogin - totp - RFC 6238 test vectors', function (test) {
+  test.equal(Totp.totp(rfcSecret, {time: 59*1000, digits: 8}), '94287082');
+  test.equal(Totp.totp(rfcSecret, {time: 1111111109*1000, digits: 8}), '07081804');
+  test.equal(Totp.totp(rfcSecret, {time: 20000000000*1000, digits: 8}), '65353130');
+});
+
+Tinytest.add('tokenlogin - totp - verify allows drift window', function (test) {
+  let time = 1111111109*1000;
+  let previous = Totp.totp(rfcSecret, {time: time - 30*1000});
+  test.isNotNull(Totp.verifyTotp(rfcSecret, previous, {time, window: 1}));
+  test.isNull(Totp.verifyTotp(rfcSecret, previous, {time, window: 0}));
+});
+
+Tinytest.add('tokenlogin - totp - base32 round trip', function (test) {
+  test.equal(Totp.base32Decode(rfcSecret).toString(), '12345678901234567890');
+});
+
+Tinytest.add('tokenlogin - generators - grouped tokens normalize to typed ones', function (test) {
+  let generator = tokenGenerators.grouped(6, 3);
+  let token = generator.generate();
+  test.matches(token, /^[0-9]{3}-[0-9]{3}$/);
+  test.equal(generator.normalize(` ${token.replace('-', ' ')} `), token.replace('-', ''));
+  test.equal(generator.format.inputMode, 'numeric');
+  let unambiguous = tokenGenerators.unambiguous(8);
+  test.matches(unambiguous.generate(), /^[^01OIL]{8}$/);
+  test.equal(unambiguous.normalize('ab-cd ef.gh'), 'ABCDEFGH');
+});
+
+Tinytest.add('tokenlogin - email factor - interpolates token and expiry', function (test) {
+  let sent = [];
+  // capture instead of sending, whether or not MAIL_URL is set,
+  // hooks of EmailTest.hookSend cannot be removed, Email.send is restored instead
+  let send = Email.send;
+  Email.send = options=>{sent.push(options);};
+  try {
+    let factor = emailFactor({from: 'login@example.com', subject: 'Code {{token}}'});
+    let settings = Object.assign({expiry: 5*60*1000}, factor.settings);
+    factor.send('user@example.com', 'abc<1>', 'email', settings, (err, res)=>{
+      test.isUndefined(err);
+      test.equal(res, 'send success');
+    });
+  } finally {
+    // later tests and other packages send for real again
+    Email.send = send;
+  }
+  test.equal(sent.length, 1);
+  test.equal(sent[0].to, 'user@example.com');
+  test.equal(sent[0].subject, 'Code abc<1>');
+  test.equal(sent[0].text, 'Your login code is abc<1>. It expires in 5 minutes.');
+  test.isTrue(sent[0].html.indexOf('abc&#60;1&#62;') !== -1);
+});
+
+Tinytest.addAsync('tokenlogin - sms factor - posts to endpoint and maps status', function (test, onComplete) {
+  let received = [];
+  // local stand-in for the SMS provider, fails with 503 so the error mapping is exercised
+  let server = http.createServer((req, res)=>{
+    let body = '';
+    req.on('data', chunk=>{body += chunk;});
+    req.on('end', ()=>{
+      received.push(JSON.parse(body));
+      res.writeHead(503);
+      res.end();
+    });
+  });
+  server.listen(0, '127.0.0.1', Meteor.bindEnvironment(()=>{
+    let factor = smsFactor({url: `http://127.0.0.1:${server.address().port}/sms`, from: 'App'});
+    let settings = Object.assign({expiry: 5*60*1000}, factor.settings);
+    factor.send('+6512345678', '123456', 'sms', settings, Meteor.bindEnvironment((err)=>{
+      server.close();
+      test.equal(received, [{to: '+6512345678', from: 'App', text: 'Your login code is 123456. It expires in 5 minutes.'}]);
+      test.equal(err.error, 'factor/send-failed');
+      test.equal(err.details.status, 503);
+      test.isTrue(err.details.retryable);
+      onComplete();
+    }));
+  }));
+});
+
+Tinytest.addAsync('tokenlogin - telegram factor - sends tokens and links chats via the Bot API', function (test, onComplete) {
+  let received = [];
+  let user = createUser();
+  test.throws(()=>telegramFactor({botToken: 'test-bot'}), 'webhookSecret');
+  // local stand-in for the Bot API, expects the token and then the reply to /start <linkcode>
+  let server = http.createServer((req, res)=>{
+    let body = '';
+    req.on('data', chunk=>{body += chunk;});
+    req.on('end', Meteor.bindEnvironment(()=>{
+      received.push({url: req.url, data: JSON.parse(body)});
+      res.writeHead(200, {'Content-Type': 'application/json'});
+      res.end(JSON.stringify({ok: true, result: {}}));
+      if (received.length < 2) {return;}
+      server.close();
+      test.equal(received[1].url, '/bottest-bot/sendMessage');
+      test.equal(received[1].data, {chat_id: '4242', text: 'Your Telegram account is now linked, login codes will be sent here.'});
+      test.equal(_.findWhere(fixture.getUserFactors(Meteor.users.findOne(user._id)), {factor: 'telegram'}).contact, '4242');
+      onComplete();
+    }));
+  });
+  server.listen(0, '127.0.0.1', Meteor.bindEnvironment(()=>{
+    let factor = telegramFactor({botToken: 'test-bot', apiUrl: `http://127.0.0.1:${server.address().port}`, webhookPath: null});
+    fixture.addFactor(factor, 'telegram');
+    let settings = Object.assign({expiry: 5*60*1000}, factor.settings);
+    factor.send('4242', '123456', 'telegram', settings, Meteor.bindEnvironment((err, res)=>{
+      test.isUndefined(err);
+      test.equal(res, 'send success');
+      test.equal(received[0].url, '/bottest-bot/sendMessage');
+      test.equal(received[0].data, {chat_id: '4242', text: 'Your login code is 123456. It expires in 5 minutes.'});
+      let {code} = fixture.createLinkCode(user, 'telegram');
+      test.isTrue(factor.handleUpdate({message: {text: `/start ${code}`, chat: {id: 4242}}}));
+    }));
+  }));
+});
+
+Tinytest.addAsync('tokenlogin - factors - send may return a Promise', function (test, onComplete) {
+  fixture.sendTokenOnce('contact', 'token', 'resolves', {}, (err, res)=>{
+    test.isUndefined(err);
+    test.equal(res, 'send success');
+    fixture.sendTokenOnce('contact', 'token', 'rejects', {}, (rejectErr)=>{
+      test.equal(rejectErr.error, 'factor/send-failed');
+      test.equal(rejectErr.reason, 'provider down');
+      onComplete();
+    });
+  });
+});
+
+Tinytest.add('tokenlogin - messages - localized per factor, falling back per message set', function (test) {
+  let {messages, appName} = fixture.config;
+  fixture.config.messages = {
+    default: {
+      de: {text: 'Dein Code für {{appName}} ist {{token}}, gültig {{expiry}} Minuten.'},
+      it: {subject: 'Il tuo codice'},
+    },
+    sms: {en: {text: '{{appName}} code {{token}}, requested from {{ip}}'}},
+  };
+  fixture.config.appName = 'Example';
+  try {
+    let connection = {id: 'connection', clientAddress: '127.0.0.1'};
+    let german = fixture.messageFor({profile: {locale: 'de_AT'}}, connection, 'sms', '123456');
+    test.equal(german.locale, 'de');
+    test.equal(german.message.text, 'Dein Code für Example ist 123456, gültig 5 Minuten.');
+    let other = fixture.messageFor({profile: {locale: 'fr'}}, connection, 'sms', '123456');
+    test.equal(other.locale, 'en');
+    test.equal(other.message.text, 'Example code 123456, requested from 127.0.0.1');
+    // italian has no text, which sms settings have, so the whole message is english
+    let partial = fixture.messageFor({profile: {locale: 'it'}}, connection, 'sms', '123456');
+    test.equal(partial.locale, 'en');
+    test.isUndefined(partial.message.subject);
+    fixture.config.messages = {};
+    let settings = fixture.messageFor({profile: {locale: 'de'}}, connection, 'sms', '123456');
+    test.equal(settings.message.text, 'Code 123456');
+  } finally {
+    fixture.config.messages = messages;
+    fixture.config.appName = appName;
+  }
+});
+
+Tinytest.add('tokenlogin - sessions - token hashes are keyed by the hash secret', function (test) {
+  let sessionId = fixture.createSession({id: 'hash-test'}, {_id: 'hash-test-user'}, 'abc123', 'sms');
+  let session = fixture.collection.findOne(sessionId);
+  fixture.collection.remove(sessionId);
+  let unkeyed = crypto.createHash('sha256').update(`${session.salt}abc123`).digest('hex');
+  test.notEqual(session.tokenHash, unkeyed);
+  test.isTrue(fixture.matchToken(session, 'abc123'));
+  test.isFalse(fixture.matchToken(session, 'abc124'));
+});
+
+Tinytest.add('tokenlogin - recovery codes - burned once, wrong ones count towards lockout', function (test) {
+  let user = createUser();
+  let codes = fixture.generateRecoveryCodes(user);
+  test.equal(codes.length, 10);
+  test.matches(codes[0], /^[0-9a-f]{4}(-[0-9a-f]{4}){4}$/);
+  test.equal(fixture.recoveryCodesRemaining(Meteor.users.findOne(user._id)), 10);
+  test.isTrue(fixture.useRecoveryCode(user, codes[0].toUpperCase()));
+  test.isFalse(fixture.useRecoveryCode(user, codes[0]));
+  test.equal(fixture.recoveryCodesRemaining(Meteor.users.findOne(user._id)), 9);
+  test.equal(typeof fixture.exchangeToken({id: 'recovery-test'}, user, codes[1]), 'string');
+  test.throws(()=>fixture.exchangeToken({id: 'recovery-test'}, user, 'ffff-ffff-ffff-ffff-ffff'), 'session/not-found');
+  test.equal(Meteor.users.findOne(user._id).services.TokenLogin.lockout.failures, 1);
+  let invocation = {userId: user._id, connection: {id: `recovery-${user._id}`}};
+  test.equal(callMethod('regenerateRecoveryCodes', invocation).error.error, ErrorCodes.VERIFICATION_REQUIRED);
+  test.equal(fixture.recoveryCodesRemaining(Meteor.users.findOne(user._id)), 8);
+  fixture.createSession(invocation.connection, user, '123456', 'sms');
+  fixture.verifyToken(user, invocation.connection, '123456');
+  test.length(callMethod('regenerateRecoveryCodes', invocation), 10);
+  test.isFalse(fixture.useRecoveryCode(user, codes[2]));
+});
+
+Tinytest.add('tokenlogin - lockout - sessions allow maxAttempts guesses, lockouts double', function (test) {
+  let user = createUser();
+  let sessionId = fixture.createSession({id: 'lockout-test'}, user, '123456', 'sms');
+  let session = fixture.collection.findOne(sessionId);
+  for (let i = 0; i < fixture.config.maxAttempts; i++) {
+    test.throws(()=>fixture.verifySession(user, session, '000000'), 'token/mismatch');
+  }
+  test.isUndefined(fixture.collection.findOne(sessionId));
+  test.throws(()=>fixture.verifySession(user, session, '123456'), 'session/not-found');
+  let lockout = ()=>Meteor.users.findOne(user._id).services.TokenLogin.lockout;
+  test.equal(lockout().failures, 1);
+  test.isUndefined(lockout().until);
+  fixture.recordFailedSession(user);
+  fixture.recordFailedSession(user);
+  let first = lockout().until - Date.now();
+  test.isTrue(first > 0 && first <= fixture.config.lockoutDuration);
+  test.throws(()=>fixture.assertNotLockedOut(Meteor.users.findOne(user._id)), 'user/locked-out');
+  fixture.recordFailedSession(user);
+  let second = lockout().until - Date.now();
+  test.isTrue(second > fixture.config.lockoutDuration && second <= 2 * fixture.config.lockoutDuration);
+});
+
+Tinytest.add('tokenlogin - factors - legacy profile factors move to services, the last one stays', function (test) {
+  let legacy = Meteor.users.insert({
+    username: `tokenlogin-test-legacy-${Date.now()}`,
+    profile: {TokenLogin: {factor: 'sms', contact: '+6512345678'}},
+  });
+  let current = createUser();
+  Meteor.users.update(current._id, {$set: {'profile.TokenLogin': {factor: 'sms', contact: '+6587654321'}}});
+  let invalid = Meteor.users.insert({
+    username: `tokenlogin-test-invalid-${Date.now()}`,
+    profile: {TokenLogin: {factor: 'sms', contact: 6512345678}},
+  });
+  fixture.migrateLegacyFactors();
+  let migrated = Meteor.users.findOne(legacy);
+  test.equal(migrated.services.TokenLogin.factors, [{factor: 'sms', contact: '+6512345678', primary: true}]);
+  test.isUndefined(migrated.profile.TokenLogin);
+  test.equal(Meteor.users.findOne(current._id).services.TokenLogin.factors, current.services.TokenLogin.factors);
+  test.isUndefined(Meteor.users.findOne(current._id).profile.TokenLogin);
+  // factors that cannot be moved are not lost
+  test.equal(Meteor.users.findOne(invalid).profile.TokenLogin, {factor: 'sms', contact: 6512345678});
+  test.isUndefined(Meteor.users.findOne(invalid).services);
+  Meteor.users.remove(invalid);
+
+  test.throws(()=>fixture.assertCanRemoveFactor(migrated, 'sms'), 'factor/last-factor');
+  fixture.setUserFactor(migrated, {factor: 'email', contact: 'legacy@example.com'});
+  fixture.assertCanRemoveFactor(Meteor.users.findOne(legacy), 'sms');
+});
+
+Tinytest.add('tokenlogin - flows - only invalidated from the bound client, by their user', function (test) {
+  let user = createUser();
+  let connection = {id: 'flow-test', clientAddress: '10.0.0.1'};
+  fixture.config.flowBinding = ['clientAddress'];
+  try {
+    let sessionId = fixture.createSession(connection, user, '123456', 'sms', {flowId: `flow-${user._id}`});
+    let elsewhere = {id: 'flow-test-other', clientAddress: '10.0.0.2'};
+    let reconnected = {id: 'flow-test-reconnected', clientAddress: '10.0.0.1'};
+    test.equal(fixture.invalidateSession(elsewhere, `flow-${user._id}`), 0);
+    test.equal(fixture.invalidateSession(reconnected, `flow-${user._id}`, 'someone-else'), 0);
+    test.equal(fixture.invalidateSession(reconnected, `flow-${user._id}`, user._id), 1);
+    test.isUndefined(fixture.collection.findOne(sessionId));
+  } finally {
+    fixture.config.flowBinding = null;
+  }
+});
+
+Tinytest.add('tokenlogin - login tokens - recorded for recovery logins and revoked by their flow', function (test) {
+  let user = createUser();
+  let connection = {id: 'revoke-test'};
+  let codes = fixture.generateRecoveryCodes(user);
+  let loginToken = fixture.exchangeToken(connection, user, codes[0], `revoke-${user._id}`);
+  let session = fixture.collection.findOne({flowId: `revoke-${user._id}`});
+  test.equal(session.factor, 'recovery');
+  test.equal(session.loginTokenHash, Accounts._hashLoginToken(loginToken));
+  test.isTrue(session.retainAt.getTime() >= Date.now() + Accounts._getTokenLifetimeMs() - 60*1000);
+  test.equal(fixture.invalidateSession(connection, `revoke-${user._id}`), 0);
+  test.equal(fixture.invalidateSession(connection, `revoke-${user._id}`, user._id, true), 1);
+  test.equal(Meteor.users.findOne(user._id).services.resume.loginTokens, []);
+});
+
+Tinytest.add('tokenlogin - admin - authorized actions, no secrets listed, disabled factors stay disabled', function (test) {
+  let user = createUser();
+  let invocation = {userId: 'tokenlogin-test-admin', connection: {id: 'admin-test'}};
+  test.throws(()=>fixture.assertAdmin(invocation, 'listSessions', user._id), 'admin/forbidden');
+  fixture.config.authorizeAdmin = (adminId, action)=>adminId === invocation.userId && action !== 'issueBypass';
+  try {
+    fixture.assertAdmin(invocation, 'listSessions', user._id);
+    test.throws(()=>fixture.assertAdmin(invocation, 'issueBypass', user._id), 'admin/forbidden');
+    test.throws(()=>fixture.assertAdmin({userId: 'someone-else'}, 'listSessions', user._id), 'admin/forbidden');
+  } finally {
+    fixture.config.authorizeAdmin = null;
+  }
+
+  fixture.createSession({id: 'admin-test'}, user, '123456', 'sms', {browserId: 'browser', flowId: `admin-${user._id}`});
+  let listed = fixture.listSessions(user._id);
+  test.equal(listed.length, 1);
+  test.equal(_.intersection(_.keys(listed[0]), ['salt', 'tokenHash', 'flowId', 'fingerprint', 'browserId']), []);
+
+  let contact = user.services.TokenLogin.factors[0].contact;
+  fixture.disableUserFactor(user, 'sms');
+  test.throws(()=>fixture.selectFactors(Meteor.users.findOne(user._id), 'sms'), 'factor/not-registered');
+  fixture.removeUserFactor(Meteor.users.findOne(user._id), 'sms');
+  test.throws(()=>fixture.enrollFactor(Meteor.users.findOne(user._id), {factor: 'sms', contact}), 'factor/disabled');
+  fixture.setUserFactor(Meteor.users.findOne(user._id), {factor: 'sms', contact});
+  test.isTrue(fixture.getUserFactors(Meteor.users.findOne(user._id))[0].disabled);
+  fixture.disableUserFactor(Meteor.users.findOne(user._id), 'sms', false);
+  test.isFalse(!!fixture.getUserFactors(Meteor.users.findOne(user._id))[0].disabled);
+  test.equal(fixture.invalidateUserSessions(user._id), 1);
+});
+
+Tinytest.add('tokenlogin - generators - grouped and lower-case tokens match, totp codes are normalized', function (test) {
+  let generate = fixture.config.generate;
+  try {
+    fixture.config.generate = tokenGenerators.grouped(6, 3);
+    let grouped = fixture.collection.findOne(fixture.createSession({id: 'normalize-test'}, {_id: 'normalize-user'}, '123-456', 'sms'));
+    test.isTrue(fixture.matchToken(grouped, '123456'));
+    test.isTrue(fixture.matchToken(grouped, ' 123 456 '));
+    test.isFalse(fixture.matchToken(grouped, '123-457'));
+    fixture.config.generate = tokenGenerators.unambiguous(8, {group: 4});
+    let letters = fixture.collection.findOne(fixture.createSession({id: 'normalize-test'}, {_id: 'normalize-user'}, 'ABCD-EFGH', 'sms'));
+    test.isTrue(fixture.matchToken(letters, 'abcd efgh'));
+  } finally {
+    fixture.config.generate = generate;
+    fixture.collection.remove({userId: 'normalize-user'});
+  }
+  test.equal(fixture.normalizeToken(' 123 456 ', 'totp'), '123456');
+  test.equal(fixture.normalizeToken('123-456', 'totp'), '123456');
+});
+
+Tinytest.add('tokenlogin - timing - resendAt follows the rate limit of the method', function (test) {
+  let connection = {id: 'timing-test', clientAddress: '127.0.0.1'};
+  let userId = `timing-${Date.now()}`;
+  test.isTrue(fixture.requestTiming(connection, 'requestToken', userId).resendAt.getTime() <= Date.now());
+  DDPRateLimiter._increment({
+    userId,
+    clientAddress: connection.clientAddress,
+    type: 'method',
+    name: 'TokenLogin:TokenLoginTest/requestToken',
+    connectionId: connection.id,
+  });
+  let wait = fixture.requestTiming(connection, 'requestToken', userId).resendAt.getTime() - Date.now();
+  test.isTrue(wait > 0 && wait <= fixture.config.requestInterval);
+});
+
+Tinytest.add('tokenlogin - factors - requested factor first, primary by default, contacts masked', function (test) {
+  let user = createUser([
+    {factor: 'email', contact: 'jane@example.com', primary: false},
+    {factor: 'sms', contact: '+6512345678', primary: true},
+    {factor: 'fax', contact: '+6587654321', primary: false},
+  ]);
+  test.equal(fixture.verifyContact(user), [
+    {factor: 'sms', contact: '*******5678', primary: true, disabled: false},
+    {factor: 'email', contact: 'j***@example.com', primary: false, disabled: false},
+    {factor: 'fax', contact: '*******4321', primary: false, disabled: false},
+  ]);
+  test.equal(_.pluck(fixture.selectFactors(user), 'factor'), ['sms', 'email', 'fax']);
+  test.equal(_.pluck(fixture.selectFactors(user, 'email'), 'factor'), ['email', 'sms', 'fax']);
+  test.throws(()=>fixture.selectFactors(user, 'whatsapp'), 'factor/not-registered');
+  test.throws(()=>fixture.selectFactors(user, 'fax'), 'factor/unsupported');
+});
+
+Tinytest.add('tokenlogin - errors - every failure of a session has its own code', function (test) {
+  let user = createUser();
+  let connection = {id: `errors-${user._id}`};
+  test.throws(()=>fixture.verifyToken(user, connection, '123456'), ErrorCodes.SESSION_NOT_FOUND);
+  let expired = fixture.collection.findOne(fixture.createSession(connection, user, '123456', 'sms'));
+  fixture.collection.update(expired._id, {$set: {expireAt: new Date(Date.now() - 1000)}});
+  test.throws(()=>fixture.verifyToken(user, connection, '123456'), ErrorCodes.TOKEN_EXPIRED);
+  fixture.collection.remove(expired._id);
+  fixture.createSession(connection, user, '123456', 'sms');
+  try {
+    fixture.verifyToken(user, connection, '654321');
+    test.fail('wrong token verified');
+  } catch (err) {
+    test.equal(err.error, ErrorCodes.TOKEN_MISMATCH);
+    test.equal(err.reason, 'The token is incorrect');
+  }
+  fixture.verifyToken(user, connection, '123456');
+  test.throws(()=>fixture.verifyToken(user, connection, '123456'), ErrorCodes.SESSION_VERIFIED);
+});
+
+Tinytest.add('tokenlogin - audit - handlers get every step without the token', function (test) {
+  let user = createUser();
+  let connection = {id: `audit-${user._id}`, clientAddress: '127.0.0.1'};
+  let entries = [];
+  let handles = _.map([AuditEvents.VERIFY_FAILED, AuditEvents.VERIFIED, AuditEvents.INVALIDATED], (event)=>
+    fixture.on(event, (entry)=>{if (entry.userId === user._id) {entries.push(entry);}}));
+  // a failing handler neither stops the others nor the step
+  handles.push(fixture.on(AuditEvents.VERIFIED, ()=>{throw new Error('handler failed');}));
+  try {
+    fixture.createSession(connection, user, '123456', 'sms');
+    test.throws(()=>fixture.verifyToken(user, connection, '654321'), ErrorCodes.TOKEN_MISMATCH);
+    fixture.verifyToken(user, connection, '123456');
+    fixture.createSession(connection, user, '234567', 'sms');
+    fixture.invalidateSession(connection);
+    test.equal(_.pluck(entries, 'event'), [AuditEvents.VERIFY_FAILED, AuditEvents.VERIFIED, AuditEvents.INVALIDATED]);
+    test.equal(entries[0].reason, ErrorCodes.TOKEN_MISMATCH);
+    _.each(entries, (entry)=>{
+      test.equal(_.pick(entry, 'connectionId', 'clientAddress', 'factor'), {connectionId: connection.id, clientAddress: '127.0.0.1', factor: 'sms'});
+      test.isTrue(entry.timestamp instanceof Date);
+      test.isFalse(_.has(entry, 'tokenHash') || _.has(entry, 'salt'));
+    });
+  } finally {
+    _.invoke(handles, 'stop');
+  }
+  fixture.createSession(connection, user, '345678', 'sms');
+  fixture.invalidateSession(connection);
+  test.length(entries, 3);
+  test.throws(()=>fixture.on('token/unknown', ()=>{}), 'Match error');
+});
+
+Tinytest.addAsync('tokenlogin - factors - sends are retried, called back once and fail over', function (test, onComplete) {
+  let attempts = 0;
+  fixture.addFactor({
+    send: ()=>{
+      attempts += 1;
+      return attempts < 3 ? Promise.reject(new Error('provider busy')) : Promise.resolve('send success');
+    },
+    settings: {retries: 2, retryDelay: 1},
+  }, 'flaky');
+  fixture.addFactor({
+    send: (contact, token, factor, settings, callback)=>{
+      callback(undefined, 'first');
+      callback(undefined, 'second');
+      throw new Error('after callback');
+    },
+  }, 'twice');
+  fixture.addFactor({send: ()=>{}, settings: {timeout: 10}}, 'silent');
+  let calls = {};
+  let send = (factor)=>new Promise((resolve)=>{
+    fixture.sendToken('contact', 'token', factor, {}, (err, res)=>{
+      calls[factor] = (calls[factor] || 0) + 1;
+      resolve({err, res});
+    });
+  });
+  let user = createUser();
+  let [sms] = fixture.getUserFactors(user);
+  let connection = {id: `failover-${user._id}`};
+  send('flaky').then(({err, res})=>{
+    test.isUndefined(err);
+    test.equal(res, 'send success');
+    test.equal(attempts, 3);
+    return send('twice');
+  }).then(({err, res})=>{
+    test.isUndefined(err);
+    test.equal(res, 'first');
+    return send('silent');
+  }).then(({err})=>{
+    test.equal(err.error, ErrorCodes.FACTOR_SEND_TIMEOUT);
+    return send('rejects');
+  }).then(({err})=>{
+    test.equal(err.error, ErrorCodes.FACTOR_SEND_FAILED);
+    test.equal(err.details, {factor: 'rejects'});
+    return fixture.requestTokenAsync(connection, user, [{factor: 'rejects', contact: sms.contact}, sms], {});
+  }).then((res)=>{
+    test.equal(res.factor, 'sms');
+    test.equal(fixture.collection.findOne({connectionId: connection.id}).factor, 'sms');
+    test.isTrue(!!sent[sms.contact]);
+    Meteor.setTimeout(()=>{
+      test.equal(calls, {flaky: 1, twice: 1, silent: 1, rejects: 1});
+      onComplete();
+    }, 50);
+  }).catch((err)=>{
+    test.fail(err.message);
+    onComplete();
+  });
+});
+
+Tinytest.add('tokenlogin - policy - second factor required by roles, services or a function', function (test) {
+  let policy = fixture.config.requireSecondFactor;
+  let admin = {_id: 'policy-admin', roles: {global: ['admin']}};
+  let member = {_id: 'policy-member', roles: ['member']};
+  let attempt = (user, type, methodName = 'login')=>()=>fixture.validateLoginAttempt({allowed: true, user, type, methodName});
+  try {
+    test.isTrue(fixture.requiresSecondFactor(member));
+    test.throws(attempt(member, 'password'), ErrorCodes.SECOND_FACTOR_REQUIRED);
+    test.isTrue(attempt(member, 'resume')());
+    test.isTrue(fixture.validateLoginAttempt({allowed: false, user: member, type: 'password'}));
+    fixture.config.requireSecondFactor = false;
+    test.isTrue(attempt(member, 'password')());
+    test.throws(attempt(undefined, 'password'), ErrorCodes.SECOND_FACTOR_REQUIRED);
+    fixture.config.requireSecondFactor = {roles: ['admin'], services: ['password']};
+    test.isTrue(fixture.requiresSecondFactor(admin, 'password'));
+    test.isFalse(fixture.requiresSecondFactor(admin, 'google'));
+    test.isFalse(fixture.requiresSecondFactor(member, 'password'));
+    fixture.config.requireSecondFactor = {services: ['google']};
+    test.isTrue(fixture.requiresSecondFactor(member, 'google'));
+    test.throws(attempt(member, 'google'), ErrorCodes.SECOND_FACTOR_REQUIRED);
+    fixture.config.requireSecondFactor = (user, service)=>user._id === admin._id && service;
+    test.isTrue(fixture.requiresSecondFactor(admin));
+    test.isFalse(fixture.requiresSecondFactor(member));
+  } finally {
+    fixture.config.requireSecondFactor = policy;
+  }
+});
+
+Tinytest.add('tokenlogin - verification - recent tokens of the connection confirm sensitive actions', function (test) {
+  let user = createUser();
+  let connection = {id: `recent-${user._id}`};
+  let invocation = {userId: user._id, connection};
+  test.throws(()=>fixture.requireRecentVerification({userId: null, connection}), ErrorCodes.USER_NOT_LOGGED_IN);
+  test.throws(()=>fixture.requireRecentVerification(invocation), ErrorCodes.VERIFICATION_REQUIRED);
+  // trusted devices log in without verifying a token
+  fixture.recordLogin(connection, user, 'device');
+  test.throws(()=>fixture.requireRecentVerification(invocation), ErrorCodes.VERIFICATION_REQUIRED);
+  let sessionId = fixture.createSession(connection, user, '123456', 'sms');
+  fixture.verifyToken(user, connection, '123456');
+  test.isTrue(fixture.requireRecentVerification(invocation));
+  test.throws(()=>fixture.requireRecentVerification({userId: user._id, connection: {id: 'other-connection'}}), ErrorCodes.VERIFICATION_REQUIRED);
+  test.throws(()=>fixture.requireRecentVerification({userId: user._id, connection: null}), ErrorCodes.VERIFICATION_REQUIRED);
+  fixture.collection.update(sessionId, {$set: {verifyAt: new Date(Date.now() - 2*60*1000)}});
+  test.isTrue(fixture.requireRecentVerification(invocation));
+  try {
+    fixture.requireRecentVerification(invocation, 60*1000);
+    test.fail('verification older than maxAge passed');
+  } catch (err) {
+    test.equal(err.error, ErrorCodes.VERIFICATION_REQUIRED);
+    test.equal(err.details, {maxAge: 60*1000});
+  }
+});
+
+/**
+ * callMethod - runs a method of the fixture as a client connection would, bypassing the rate limits
+ *
+ * @param  {string} name       name of method, without prefix
+ * @param  {object} invocation this of method, userId and connection
+ * @param  {...*} args        arguments of method
+ * @returns {object}            result, or the error thrown as {error}
+ */
+function callMethod(name, invocation, ...args){
+  try {
+    return Meteor.server.method_handlers[`TokenLogin:TokenLoginTest/${name}`].apply(invocation, args);
+  } catch (err) {
+    return {error: err};
+  }
+}
+
+Tinytest.addAsync('tokenlogin - passwordless - replies do not show whether a user exists', function (test, onComplete) {
+  let user = createUser();
+  let [contact] = _.pluck(fixture.getUserFactors(user), 'contact');
+  fixture.config.passwordless = true;
+  let [existing, missing] = _.map([user.username, `nobody-${user.username}`], (selector, index)=>{
+    let invocation = {userId: null, connection: {id: `passwordless-${index}-${user._id}`, clientAddress: `10.0.0.${index + 1}`}};
+    return {selector, invocation, requested: callMethod('requestToken', invocation, selector, null, {})};
+  });
+  let pick = (reply)=>_.extend(_.omit(reply, 'expireAt', 'resendAt', 'flowId'), {keys: _.keys(reply).sort()});
+  test.equal(pick(existing.requested), pick(missing.requested));
+  // the token goes out after the reply
+  Meteor.setTimeout(()=>{
+    try {
+      test.equal(fixture.collection.find({userId: user._id}).count(), 1);
+      test.isTrue(!!sent[contact]);
+      let [existingReplies, missingReplies] = _.map([existing, missing], ({selector, invocation, requested})=>({
+        open: callMethod('assertOpenSession', invocation, selector, null, requested.flowId),
+        login: callMethod('getLoginToken', invocation, selector, null, '000000', requested.flowId).error,
+        invalidated: callMethod('invalidateSession', invocation, requested.flowId),
+      }));
+      test.equal(existingReplies.open, missingReplies.open);
+      test.equal(existingReplies.invalidated, missingReplies.invalidated);
+      test.equal(existingReplies.login.error, ErrorCodes.TOKEN_MISMATCH);
+      test.equal(_.pick(existingReplies.login, 'error', 'reason', 'details'), _.pick(missingReplies.login, 'error', 'reason', 'details'));
+      test.equal(fixture.collection.find({userId: user._id}).count(), 0);
+    } finally {
+      fixture.config.passwordless = false;
+      onComplete();
+    }
+  }, 100);
+});
+
+Tinytest.add('tokenlogin - devices - trusted after a recent verification, until expiry or revoked', function (test) {
+  let user = createUser();
+  let invocation = {userId: user._id, connection: {id: `device-${user._id}`}};
+  test.equal(callMethod('trustDevice', invocation, 'stolen login').error.error, ErrorCodes.VERIFICATION_REQUIRED);
+  fixture.createSession(invocation.connection, user, '123456', 'sms');
+  fixture.verifyToken(user, invocation.connection, '123456');
+  let token = callMethod('trustDevice', invocation, 'laptop');
+  user = Meteor.users.findOne(user._id);
+  test.isTrue(fixture.verifyDeviceToken(user, token));
+  let [device] = fixture.listDevices(user);
+  test.equal(device.name, 'laptop');
+  let [deviceId, expireAt, signature] = token.split('.');
+  test.isFalse(fixture.verifyDeviceToken(user, `${deviceId}.${Number(expireAt) + 1000}.${signature}`));
+  test.isFalse(fixture.verifyDeviceToken({_id: 'other-user', services: user.services}, token));
+  let expired = Date.now() - 1000;
+  let expiredToken = `${deviceId}.${expired}.${fixture.signDevice(user._id, deviceId, expired)}`;
+  test.isFalse(fixture.verifyDeviceToken(user, expiredToken));
+  test.equal(fixture.revokeDevice(user, deviceId), 1);
+  user = Meteor.users.findOne(user._id);
+  test.isFalse(fixture.verifyDeviceToken(user, token));
+  test.equal(fixture.listDevices(user), []);
+});
+
+Tinytest.add('tokenlogin - recovery codes - survive a restart without a configured secret', function (test) {
+  let user = createUser();
+  let {hashSecret} = fixture.config;
+  let codeSecret = fixture.codeSecret;
+  let codes = fixture.generateRecoveryCodes(user);
+  let bypass = fixture.issueBypass(user);
+  try {
+    // as after a restart, the random secret of session tokens is another one
+    fixture.config.hashSecret = crypto.randomBytes(32).toString('hex');
+    test.isTrue(fixture.useRecoveryCode(user, codes[0]));
+    test.isTrue(fixture.useBypassCode(Meteor.users.findOne(user._id), bypass));
+    // codes issued before a secret was configured still work with one
+    fixture.codeSecret = 'configured later';
+    test.isTrue(fixture.useRecoveryCode(user, codes[1]));
+    let keyed = fixture.generateRecoveryCodes(user);
+    fixture.codeSecret = codeSecret;
+    test.isFalse(fixture.useRecoveryCode(user, keyed[0]));
+  } finally {
+    fixture.config.hashSecret = hashSecret;
+    fixture.codeSecret = codeSecret;
+  }
+});
+
+// instance with magic links, on the default path /tokenlogin/MagicLinkTest/link
+const magicLinks = new TokenLogin('MagicLinkTest', {magicLink: {redirect: '/login'}});
+
+/**
+ * fetchLink - requests a url of this server
+ *
+ * @param  {string} method GET or POST
+ * @param  {string} link   absolute url
+ * @param  {string} body = '' optional, url encoded form to POST
+ * @returns {Promise}        status, headers and body of response
+ */
+function fetchLink(method, link, body = ''){
+  return new Promise((resolve, reject)=>{
+    let headers = {'Content-Type': 'application/x-www-form-urlencoded', 'Content-Length': Buffer.byteLength(body)};
+    let req = http.request(_.extend(url.parse(link), {method, headers}), (res)=>{
+      let text = '';
+      res.on('data', chunk=>{text += chunk;});
+      res.on('end', ()=>resolve({status: res.statusCode, headers: res.headers, body: text}));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+Tinytest.addAsync('tokenlogin - magic links - opening shows a page, posting it back logs in', function (test, onComplete) {
+  let user = createUser();
+  let sessionId = magicLinks.createSession({id: `magic-${user._id}`}, user, '123456', 'sms', {browserId: 'browser'});
+  let link = magicLinks.createMagicLink(sessionId, '123456');
+  let query = url.parse(link, true).query;
+  test.equal(url.parse(link).pathname, '/tokenlogin/MagicLinkTest/link');
+  test.equal(_.pick(query, 's', 't'), {s: sessionId, t: '123456'});
+  test.throws(()=>magicLinks.verifyMagicLink(sessionId, '123456', `${query.sig.slice(1)}0`), ErrorCodes.LINK_INVALID);
+  test.throws(()=>magicLinks.verifyMagicLink(sessionId, '654321', query.sig), ErrorCodes.LINK_INVALID);
+  let verifyAt = ()=>magicLinks.collection.findOne(sessionId).verifyAt;
+  fetchLink('GET', link).then(Meteor.bindEnvironment((page)=>{
+    // prefetching the link neither uses it up nor logs in
+    test.equal(page.status, 200);
+    test.equal(page.headers['cache-control'], 'no-store');
+    test.isTrue(page.body.indexOf(`name="sig" value="${query.sig}"`) !== -1);
+    test.isUndefined(verifyAt());
+    return fetchLink('POST', link, `s=${'x'.repeat(5000)}`);
+  })).then(Meteor.bindEnvironment((tooLarge)=>{
+    test.equal(tooLarge.status, 413);
+    return fetchLink('POST', link, url.parse(link).query);
+  })).then(Meteor.bindEnvironment((posted)=>{
+    test.equal(posted.status, 303);
+    let [redirect, fragment] = posted.headers.location.split('#');
+    test.equal(redirect, '/login');
+    test.matches(fragment, /^TokenLogin:MagicLinkTest\/login=./);
+    test.isTrue(verifyAt() instanceof Date);
+    // with sameBrowser, only the browser that requested the token may use the link
+    magicLinks.config.magicLink.sameBrowser = true;
+    let otherId = magicLinks.createSession({id: `magic-${user._id}`}, user, '234567', 'sms', {browserId: 'browser'});
+    let signature = magicLinks.signMagicLink(otherId, '234567');
+    test.throws(()=>magicLinks.verifyMagicLink(otherId, '234567', signature, 'other-browser'), ErrorCodes.LINK_OTHER_BROWSER);
+    test.equal(typeof magicLinks.verifyMagicLink(otherId, '234567', signature, 'browser'), 'string');
+  })).catch((err)=>{
+    test.fail(err.message);
+  }).then(()=>{
+    magicLinks.config.magicLink.sameBrowser = false;
+    onComplete();
+  });
+});
+
+Tinytest.add('tokenlogin - instances - keep their own factors, config and collections', function (test) {
+  let {settings} = fixture.config.factors.totp;
+  test.isFalse(settings === magicLinks.config.factors.totp.settings);
+  test.isFalse(fixture.config.messages === magicLinks.config.messages);
+  settings.issuer = 'Changed';
+  test.equal(magicLinks.config.factors.totp.settings.issuer, 'TokenLogin');
+  settings.issuer = 'TokenLogin';
+  test.isTrue(!!fixture.config.factors.sms);
+  test.isUndefined(magicLinks.config.factors.sms);
+  test.isNull(fixture.config.magicLink);
+  test.equal(magicLinks.config.magicLink.path, '/tokenlogin/MagicLinkTest/link');
+  test.equal([fixture.collectionName, magicLinks.collectionName], ['TokenLogin:TokenLoginTest:Collection', 'TokenLogin:MagicLinkTest:Collection']);
+  let user = createUser();
+  let sessionId = fixture.createSession({id: `instances-${user._id}`}, user, '123456', 'sms');
+  test.isUndefined(magicLinks.collection.findOne(sessionId));
+  test.isTrue(!!Meteor.server.method_handlers['TokenLogin:MagicLinkTest/requestToken']);
+});
+
+Tinytest.add('tokenlogin - factors - enrolled once the token sent to the new contact is confirmed', function (test) {
+  let user = createUser();
+  let contact = `+66${Date.now()}`;
+  let enroll = ()=>{
+    fixture.enrollFactor(user, {factor: 'sms', contact});
+    user = Meteor.users.findOne(user._id);
+    return sent[contact].token;
+  };
+  test.matches(fixture.enrollFactor(user, {factor: 'sms', contact}).contact, new RegExp(`^\\*+${contact.slice(-4)}$`));
+  user = Meteor.users.findOne(user._id);
+  test.throws(()=>fixture.confirmFactor(user, 'wrong'), ErrorCodes.TOKEN_MISMATCH);
+  // wrong tokens are counted, the enrollment ends after maxAttempts
+  _.times(fixture.config.maxAttempts - 1, ()=>{
+    test.throws(()=>fixture.confirmFactor(Meteor.users.findOne(user._id), 'wrong'), ErrorCodes.TOKEN_MISMATCH);
+  });
+  test.throws(()=>fixture.confirmFactor(Meteor.users.findOne(user._id), sent[contact].token), ErrorCodes.SESSION_NOT_FOUND);
+
+  enroll();
+  Meteor.users.update(user._id, {$set: {'services.TokenLogin.pendingFactor.expireAt': new Date(Date.now() - 1000)}});
+  test.throws(()=>fixture.confirmFactor(Meteor.users.findOne(user._id), sent[contact].token), ErrorCodes.TOKEN_EXPIRED);
+  test.isUndefined(Meteor.users.findOne(user._id).services.TokenLogin.pendingFactor);
+
+  let token = enroll();
+  test.isTrue(fixture.confirmFactor(user, token));
+  test.throws(()=>fixture.confirmFactor(Meteor.users.findOne(user._id), token), ErrorCodes.SESSION_NOT_FOUND);
+  user = Meteor.users.findOne(user._id);
+  // the new contact replaces the one of the factor, and stays primary
+  test.equal(fixture.getUserFactors(user), [{factor: 'sms', contact, primary: true}]);
+
+  fixture.disableUserFactor(user, 'resolves');
+  test.throws(()=>fixture.enrollFactor(Meteor.users.findOne(user._id), {factor: 'resolves', contact}), ErrorCodes.FACTOR_DISABLED);
+});
 
-// Write your tests here!
-// Here is an example.
-Tinytest.add('tokenlogin - example', function (test) {
-  test.equal(packageName, "tokenlogin");
+Tinytest.add('tokenlogin - totp - enrolled with a code of the app, codes are used once', function (test) {
+  let user = createUser();
+  test.throws(()=>fixture.confirmTotp(user, '123456'), ErrorCodes.TOTP_NOT_ENROLLED);
+  let {secret, uri} = fixture.enrollTotp(user);
+  test.matches(uri, /^otpauth:\/\/totp\//);
+  test.isTrue(uri.indexOf(`secret=${secret}`) !== -1);
+  user = Meteor.users.findOne(user._id);
+  let now = Date.now();
+  let code = Totp.totp(secret, {time: now});
+  // a code of another time step than the drift window allows
+  test.throws(()=>fixture.confirmTotp(user, Totp.totp(secret, {time: now - 5*60*1000})), ErrorCodes.TOKEN_MISMATCH);
+  test.isTrue(fixture.confirmTotp(user, ` ${code.slice(0, 3)} ${code.slice(3)} `));
+  user = Meteor.users.findOne(user._id);
+  test.isUndefined(user.services.TokenLogin.totpPending);
+  test.equal(_.findWhere(fixture.getUserFactors(user), {primary: true}).factor, 'totp');
+  // the code of enrolling is used up, the code of the next time step is used once
+  test.isFalse(fixture.verifyTotp(user, code, fixture.config.factors.totp.settings));
+  let next = Totp.totp(secret, {time: now + 30*1000});
+  test.isTrue(fixture.verifyTotp(user, next, fixture.config.factors.totp.settings));
+  test.isFalse(fixture.verifyTotp(Meteor.users.findOne(user._id), next, fixture.config.factors.totp.settings));
 });
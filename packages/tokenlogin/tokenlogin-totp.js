@@ -0,0 +1,147 @@
+/* jshint bitwise: false */
+/*global Buffer*/
+
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * base32Encode - encodes bytes as RFC 4648 base32, without padding
+ * authenticator apps expect the shared secret in this encoding
+ *
+ * @param  {Buffer} buffer bytes to encode
+ * @returns {string}        base32 string
+ */
+function base32Encode(buffer){
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (let i = 0; i < buffer.length; i++) {
+    value = (value << 8) | buffer[i];
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+    value &= (1 << bits) - 1;
+  }
+  if (bits > 0) {output += BASE32_ALPHABET[(value << (5 - bits)) & 31];}
+  return output;
+}
+
+/**
+ * base32Decode - decodes a RFC 4648 base32 string, ignoring case, padding and whitespace
+ *
+ * @param  {string} string base32 string
+ * @throws {Error} when string contains characters outside of the alphabet
+ * @returns {Buffer}        decoded bytes
+ */
+function base32Decode(string){
+  let cleaned = string.toUpperCase().replace(/\s|=+$/g, '');
+  let bits = 0;
+  let value = 0;
+  let bytes = [];
+  for (let i = 0; i < cleaned.length; i++) {
+    let index = BASE32_ALPHABET.indexOf(cleaned[i]);
+    if (index === -1) {throw new Error(`invalid base32 character ${cleaned[i]}`);}
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+      value &= (1 << bits) - 1;
+    }
+  }
+  return new Buffer(bytes);
+}
+
+/**
+ * generateSecret - generates a random shared secret for an authenticator app
+ *
+ * @param  {number} size = 20 number of random bytes, 20 bytes matches the SHA-1 block recommendation
+ * @returns {string}      base32 encoded secret
+ */
+function generateSecret(size = 20){
+  return base32Encode(crypto.randomBytes(size));
+}
+
+/**
+ * hotp - computes a RFC 4226 HMAC-based one-time password
+ *
+ * @param  {string} secret  base32 encoded secret
+ * @param  {number} counter moving factor
+ * @param  {number} digits = 6  length of code
+ * @returns {string}         zero-padded numeric code
+ */
+function hotp(secret, counter, digits = 6){
+  let message = new Buffer(8);
+  message.writeUInt32BE(Math.floor(counter / 0x100000000), 0);
+  message.writeUInt32BE(counter % 0x100000000, 4);
+  let hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  let offset = hmac[hmac.length - 1] & 0xf;
+  let binary = ((hmac[offset] & 0x7f) << 24) |
+               (hmac[offset + 1] << 16) |
+               (hmac[offset + 2] << 8) |
+               hmac[offset + 3];
+  let code = String(binary % Math.pow(10, digits));
+  while (code.length < digits) {code = `0${code}`;}
+  return code;
+}
+
+/**
+ * counterAt - the RFC 6238 time step counter for a point in time
+ *
+ * @param  {number} time = Date.now() time in milliseconds
+ * @param  {number} step = 30 length of a time step in seconds
+ * @returns {number}      time step counter
+ */
+function counterAt(time = Date.now(), step = 30){
+  return Math.floor(time / 1000 / step);
+}
+
+/**
+ * totp - computes a RFC 6238 time-based one-time password
+ *
+ * @param  {string} secret  base32 encoded secret
+ * @param  {object} options = {} time, step and digits, defaults to now, 30 seconds and 6 digits
+ * @returns {string}         zero-padded numeric code
+ */
+function totp(secret, {time = Date.now(), step = 30, digits = 6} = {}){
+  return hotp(secret, counterAt(time, step), digits);
+}
+
+/**
+ * verifyTotp - checks a code against the time steps around the current one
+ *
+ * @param  {string} secret  base32 encoded secret
+ * @param  {string} token   code entered by user
+ * @param  {object} options = {} time, step, digits and window, window is the number of steps of drift allowed
+ * @returns {number|null}    matching time step counter, null when code does not match
+ */
+function verifyTotp(secret, token, {time = Date.now(), step = 30, digits = 6, window = 1} = {}){
+  let current = counterAt(time, step);
+  for (let counter = current - window; counter <= current + window; counter++) {
+    if (hotp(secret, counter, digits) === token) {return counter;}
+  }
+  return null;
+}
+
+/**
+ * keyUri - builds the otpauth:// URI authenticator apps read from QR codes
+ *
+ * @param  {object} options secret, label and issuer, optionally digits and step
+ * @returns {string}         otpauth URI
+ */
+function keyUri({secret, label, issuer, digits = 6, step = 30}){
+  let name = encodeURIComponent(`${issuer}:${label}`);
+  let query = [
+    `secret=${secret}`,
+    `issuer=${encodeURIComponent(issuer)}`,
+    `algorithm=SHA1`,
+    `digits=${digits}`,
+    `period=${step}`,
+  ].join('&');
+  return `otpauth://totp/${name}?${query}`;
+}
+
+export { base32Encode, base32Decode, generateSecret, hotp, totp, verifyTotp, keyUri };
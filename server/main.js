@@ -3,24 +3,28 @@
 import { Meteor } from 'meteor/meteor';
 import { Accounts } from 'meteor/accounts-base';
 
-import { TwoFactorLogin } from 'meteor/freelancecourtyard:tokenlogin';
+import { TwoFactorLogin, telegramFactor } from 'meteor/freelancecourtyard:tokenlogin';
 
 if (Meteor.isDevelopment) {
   _TwoFactorLogin = TwoFactorLogin;
 }
 
+// i.e. meteor run --settings settings.json, with {"telegram": {"botToken": "...", "botName": "...", "webhookSecret": "..."}}
+if (Meteor.settings.telegram) {
+  TwoFactorLogin.addFactor(telegramFactor(Meteor.settings.telegram), 'telegram');
+}
+
 Meteor.startup(() => {
   // code to run on server at startup
   if (!Accounts.users.findOne({username: 'u1'})){
-    Accounts.createUser({
+    let userId = Accounts.createUser({
       username: 'u1',
       password: 'pw',
-      profile: {
-        TwoFactorLogin: {
-          factor: 'telegram',
-          contact: 'telegramcontact',
-        },
-      },
+    });
+    // factors are kept out of the profile, users add their own with enrollFactor
+    TwoFactorLogin.setUserFactor(Accounts.users.findOne(userId), {
+      factor: 'telegram',
+      contact: 'telegramcontact',
     });
   }
 });